@@ -5,6 +5,11 @@
 const MODULE_NAME = 'inline_image_gen';
 
 const processingMessages = new Set();
+const activeControllers = new Map();
+const earlyGenerations = new Map();
+const liveTags = new Map();
+const rescanMessages = new Set();
+const reportedMalformedTags = new Set();
 const logBuffer = [];
 const MAX_LOG_ENTRIES = 200;
 
@@ -27,6 +32,149 @@ function iigLog(level, ...args) {
     }
 }
 
+function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+function createGenerationController(messageId) {
+    const controller = new AbortController();
+    if (!activeControllers.has(messageId)) activeControllers.set(messageId, new Set());
+    activeControllers.get(messageId).add(controller);
+    return controller;
+}
+
+function releaseGenerationController(messageId, controller) {
+    const controllers = activeControllers.get(messageId);
+    if (!controllers) return;
+    controllers.delete(controller);
+    if (controllers.size === 0) activeControllers.delete(messageId);
+}
+
+function cancelMessageGenerations(messageId) {
+    const controllers = activeControllers.get(messageId);
+    if (!controllers) return;
+    iigLog('INFO', `Cancelling ${controllers.size} generation(s) in message ${messageId}`);
+    for (const controller of controllers) controller.abort();
+}
+
+function cancelAllGenerations() {
+    for (const messageId of [...activeControllers.keys()]) cancelMessageGenerations(messageId);
+}
+
+class GenerationError extends Error {
+    constructor(message, { status = 0, code = '', kind = 'other', safety = false, retryAfter = null, details = '' } = {}) {
+        super(message);
+        this.name = 'GenerationError';
+        this.status = status;
+        this.code = code;
+        this.kind = kind;
+        this.safety = safety;
+        this.retryAfter = retryAfter;
+        this.details = details || message;
+    }
+}
+
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds);
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) return null;
+    return Math.max(0, (date - Date.now()) / 1000);
+}
+
+function getErrorKind(status, code, text) {
+    const haystack = `${code} ${text}`.toLowerCase();
+    if (/safety|content_policy|content policy|moderation|prohibited|blocked/.test(haystack)) return 'safety';
+    if (status === 429 || /quota|resource_exhausted|rate.?limit|billing/.test(haystack)) return 'quota';
+    if (status === 401 || status === 403 || /invalid_api_key|unauthenticated|permission_denied/.test(haystack)) return 'auth';
+    if (status >= 500) return 'server';
+    if (status >= 400) return 'params';
+    return 'other';
+}
+
+async function createResponseError(response, label = 'API Error') {
+    const text = await response.text().catch(() => '');
+    let data = null;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {}
+
+    const errorObj = data?.error && typeof data.error === 'object' ? data.error : data;
+    const providerMessage = (typeof data?.error === 'string' && data.error)
+        || errorObj?.message
+        || (typeof data?.detail === 'string' && data.detail)
+        || text.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim().substring(0, 300)
+        || response.statusText;
+    const code = [errorObj?.status, errorObj?.code, errorObj?.type].find(value => typeof value === 'string' && value) || '';
+
+    const retryInfo = (errorObj?.details || []).find(detail => String(detail?.['@type'] || '').includes('RetryInfo'));
+    const retryAfter = parseRetryAfter(response.headers.get('Retry-After'))
+        ?? (retryInfo?.retryDelay ? parseFloat(retryInfo.retryDelay) : null);
+
+    const kind = getErrorKind(response.status, code, providerMessage);
+    return new GenerationError(`${label} (${response.status}${code ? `, ${code}` : ''}): ${providerMessage}`, {
+        status: response.status,
+        code,
+        kind,
+        safety: kind === 'safety',
+        retryAfter,
+        details: providerMessage,
+    });
+}
+
+async function providerFetch(settings, url, init = {}) {
+    const timeoutMs = (Number(settings.requestTimeout) || 0) * 1000;
+    const parentSignal = init.signal;
+    if (parentSignal?.aborted) throw parentSignal.reason;
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(parentSignal.reason);
+    parentSignal?.addEventListener('abort', onAbort, { once: true });
+
+    let timedOut = false;
+    const timer = timeoutMs > 0 ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutMs) : null;
+
+    try {
+        // The body is read here so the timeout and parent abort also cover slow downloads
+        const response = await fetch(url, { ...init, signal: controller.signal });
+        const body = response.status === 204 || response.status === 304 ? null : await response.arrayBuffer();
+        return new Response(body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+        });
+    } catch (error) {
+        if (timedOut) throw new GenerationError(`Request timeout after ${timeoutMs / 1000}s`, { kind: 'network' });
+        if (isAbortError(error)) throw error;
+        throw new GenerationError(`Network error: ${error.message}`, { kind: 'network' });
+    } finally {
+        clearTimeout(timer);
+        parentSignal?.removeEventListener('abort', onAbort);
+    }
+}
+
 function exportLogs() {
     const logsText = logBuffer.join('\n');
     const blob = new Blob([logsText], { type: 'text/plain' });
@@ -41,29 +189,74 @@ function exportLogs() {
 
 const defaultSettings = Object.freeze({
     enabled: true,
-    apiType: 'openai',
-    endpoint: '',
-    apiKey: '',
-    model: '',
-    size: '1024x1024',
-    quality: 'standard',
     maxRetries: 0,
     retryDelay: 1000,
     sendCharAvatar: false,
     sendUserAvatar: false,
     userAvatarFile: '',
-    aspectRatio: '1:1',
-    imageSize: '1K',
-    naisteraAspectRatio: '1:1',
-    naisteraPreset: '',
     naisteraSendCharAvatar: false,
     naisteraSendUserAvatar: false,
     sendPreviousImages: false,
     previousImagesCount: 2,
     npcReferences: [],
     enableNpcReferences: false,
+    variants: 1,
+    streamingGeneration: true,
+    resumeOnChatLoad: 'ask',
+    processUserMessages: false,
+    outputFormat: 'original',
+    outputQuality: 85,
+    maxImageSide: 0,
+    stripAlpha: false,
+    chatThumbnails: false,
+    thumbnailSize: 512,
+    enableImageCache: true,
+    imageCache: {},
+    profiles: [],
+    activeProfileId: '',
+    fallbackRules: [],
+});
+
+const defaultProfile = Object.freeze({
+    name: 'Основной',
+    apiType: 'openai',
+    endpoint: '',
+    apiKey: '',
+    model: '',
+    size: '1024x1024',
+    quality: 'standard',
+    aspectRatio: '1:1',
+    imageSize: '1K',
+    naisteraAspectRatio: '1:1',
+    naisteraPreset: '',
+    sdSampler: '',
+    sdSteps: 25,
+    sdCfgScale: 7,
+    sdWidth: 1024,
+    sdHeight: 1024,
+    sdDenoisingStrength: 0.6,
+    sdNegativePrompt: '',
+    comfyWorkflow: '',
+    comfyUseWebsocket: true,
+    asyncMode: false,
+    asyncTaskIdPath: 'task_id',
+    asyncStatusUrl: '/v1/tasks/{{id}}',
+    asyncStatusPath: 'status',
+    asyncSuccessValues: 'succeeded, success, completed, done',
+    asyncFailureValues: 'failed, failure, error, cancelled, canceled',
+    asyncResultPath: 'data[0].url',
+    asyncProgressPath: 'progress',
+    asyncQueuePath: 'queue_position',
+    asyncErrorPath: 'error',
+    asyncPollInterval: 2000,
+    asyncMaxWait: 600000,
+    queueConcurrency: 2,
+    queueRpm: 0,
+    requestTimeout: 300,
 });
 
+const PROFILE_KEYS = Object.keys(defaultProfile).filter(key => key !== 'name');
+
 const IMAGE_MODEL_KEYWORDS = [
     'dall-e', 'midjourney', 'mj', 'journey', 'stable-diffusion', 'sdxl', 'flux',
     'imagen', 'drawing', 'paint', 'image', 'seedream', 'hidream', 'dreamshaper',
@@ -100,19 +293,116 @@ function getSettings() {
     }
     for (const key of Object.keys(defaultSettings)) {
         if (!Object.hasOwn(context.extensionSettings[MODULE_NAME], key)) {
-            context.extensionSettings[MODULE_NAME][key] = defaultSettings[key];
+            context.extensionSettings[MODULE_NAME][key] = structuredClone(defaultSettings[key]);
         }
     }
+    migrateProfiles(context.extensionSettings[MODULE_NAME]);
     return context.extensionSettings[MODULE_NAME];
 }
 
+function createProfileId() {
+    return `profile_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function migrateProfiles(settings) {
+    if (settings.profiles.length === 0) {
+        const profile = { ...structuredClone(defaultProfile), id: createProfileId() };
+        for (const key of PROFILE_KEYS) {
+            if (Object.hasOwn(settings, key)) profile[key] = settings[key];
+        }
+        settings.profiles.push(profile);
+        settings.activeProfileId = profile.id;
+    }
+    for (const key of PROFILE_KEYS) {
+        delete settings[key];
+    }
+    for (const profile of settings.profiles) {
+        for (const key of Object.keys(defaultProfile)) {
+            if (!Object.hasOwn(profile, key)) profile[key] = defaultProfile[key];
+        }
+    }
+}
+
+function getProfileById(profileId) {
+    if (!profileId) return null;
+    return getSettings().profiles.find(profile => profile.id === profileId) || null;
+}
+
+function getActiveProfile() {
+    const settings = getSettings();
+    return getProfileById(settings.activeProfileId) || settings.profiles[0];
+}
+
+function getChatProfileId() {
+    const context = SillyTavern.getContext();
+    return context.chatMetadata?.[MODULE_NAME]?.profileId || null;
+}
+
+function getCharacterProfileId() {
+    const context = SillyTavern.getContext();
+    if (context.characterId === undefined || context.characterId === null) return null;
+    return context.characters?.[context.characterId]?.data?.extensions?.[MODULE_NAME]?.profileId || null;
+}
+
+function resolveProfile() {
+    return getProfileById(getChatProfileId()) || getProfileById(getCharacterProfileId()) || getActiveProfile();
+}
+
+function getGenerationSettings(profile = resolveProfile()) {
+    return { ...getSettings(), ...profile, profileId: profile.id, profileName: profile.name };
+}
+
+async function bindProfileToChat(profileId) {
+    const context = SillyTavern.getContext();
+    if (!context.chatMetadata) return;
+    const metadata = { ...(context.chatMetadata[MODULE_NAME] || {}) };
+    if (profileId) metadata.profileId = profileId;
+    else delete metadata.profileId;
+    context.chatMetadata[MODULE_NAME] = metadata;
+    await context.saveMetadata();
+}
+
+function getChatUserMessagesOverride() {
+    const context = SillyTavern.getContext();
+    const value = context.chatMetadata?.[MODULE_NAME]?.processUserMessages;
+    return typeof value === 'boolean' ? value : null;
+}
+
+async function setChatUserMessagesOverride(value) {
+    const context = SillyTavern.getContext();
+    if (!context.chatMetadata) return;
+    const metadata = { ...(context.chatMetadata[MODULE_NAME] || {}) };
+    if (typeof value === 'boolean') metadata.processUserMessages = value;
+    else delete metadata.processUserMessages;
+    context.chatMetadata[MODULE_NAME] = metadata;
+    await context.saveMetadata();
+}
+
+function isPersonaMessage(message) {
+    return Boolean(message?.is_user || message?.extra?.type);
+}
+
+function shouldProcessMessage(message) {
+    if (!message) return false;
+    if (!isPersonaMessage(message)) return true;
+    return getChatUserMessagesOverride() ?? getSettings().processUserMessages;
+}
+
+async function bindProfileToCharacter(profileId) {
+    const context = SillyTavern.getContext();
+    if (context.characterId === undefined || context.characterId === null) return;
+    const character = context.characters?.[context.characterId];
+    const existing = character?.data?.extensions?.[MODULE_NAME] || {};
+    await context.writeExtensionField(context.characterId, MODULE_NAME, { ...existing, profileId: profileId || null });
+}
+
 function saveSettings() {
     const context = SillyTavern.getContext();
     context.saveSettingsDebounced();
 }
 
 async function fetchModels() {
-    const settings = getSettings();
+    const settings = getActiveProfile();
     if (!settings.endpoint || !settings.apiKey) {
         console.warn('[IIG] Cannot fetch models: endpoint or API key not set');
         return [];
@@ -134,6 +424,54 @@ async function fetchModels() {
     }
 }
 
+function getSDHeaders(settings) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.apiKey) {
+        headers['Authorization'] = settings.apiKey.includes(':')
+            ? `Basic ${btoa(settings.apiKey)}`
+            : `Bearer ${settings.apiKey}`;
+    }
+    return headers;
+}
+
+async function fetchSDModels() {
+    const settings = getActiveProfile();
+    if (!settings.endpoint) {
+        console.warn('[IIG] Cannot fetch checkpoints: endpoint not set');
+        return [];
+    }
+    const url = `${settings.endpoint.replace(/\/$/, '')}/sdapi/v1/sd-models`;
+    try {
+        const response = await fetch(url, { method: 'GET', headers: getSDHeaders(settings) });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const models = await response.json();
+        return (Array.isArray(models) ? models : []).map(m => m.title || m.model_name).filter(Boolean);
+    } catch (error) {
+        console.error('[IIG] Failed to fetch SD checkpoints:', error);
+        toastr.error(`Ошибка загрузки чекпоинтов: ${error.message}`, 'Генерация картинок');
+        return [];
+    }
+}
+
+async function fetchSDSamplers() {
+    const settings = getActiveProfile();
+    if (!settings.endpoint) {
+        console.warn('[IIG] Cannot fetch samplers: endpoint not set');
+        return [];
+    }
+    const url = `${settings.endpoint.replace(/\/$/, '')}/sdapi/v1/samplers`;
+    try {
+        const response = await fetch(url, { method: 'GET', headers: getSDHeaders(settings) });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const samplers = await response.json();
+        return (Array.isArray(samplers) ? samplers : []).map(s => s.name).filter(Boolean);
+    } catch (error) {
+        console.error('[IIG] Failed to fetch SD samplers:', error);
+        toastr.error(`Ошибка загрузки сэмплеров: ${error.message}`, 'Генерация картинок');
+        return [];
+    }
+}
+
 async function fetchUserAvatars() {
     try {
         const context = SillyTavern.getContext();
@@ -185,7 +523,328 @@ async function imageUrlToDataUrl(url) {
     }
 }
 
-async function saveImageToFile(dataUrl) {
+const METADATA_KEYWORD = 'iig';
+const XMP_NAMESPACE = 'https://github.com/diox3xin/sillyimages/ns/1.0/';
+const imageMetadataCache = new Map();
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+function asciiBytes(text) {
+    return Uint8Array.from(text, char => char.charCodeAt(0) & 0xff);
+}
+
+function readAscii(bytes, start, length) {
+    return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+function concatBytes(...parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
+
+function encodeMetadata(metadata) {
+    return bytesToBase64(new TextEncoder().encode(JSON.stringify(metadata)));
+}
+
+function decodeMetadata(text) {
+    try {
+        const metadata = JSON.parse(new TextDecoder().decode(base64ToBytes(text.trim())));
+        return metadata && typeof metadata === 'object' ? metadata : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function embedPngMetadata(bytes, text) {
+    const ihdrEnd = 8 + 12 + new DataView(bytes.buffer, bytes.byteOffset).getUint32(8);
+    const body = concatBytes(asciiBytes('tEXt'), asciiBytes(METADATA_KEYWORD), new Uint8Array([0]), asciiBytes(text));
+    const chunk = new Uint8Array(body.length + 8);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, body.length - 4);
+    chunk.set(body, 4);
+    view.setUint32(body.length + 4, crc32(body));
+    return concatBytes(bytes.subarray(0, ihdrEnd), chunk, bytes.subarray(ihdrEnd));
+}
+
+function readPngMetadata(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = readAscii(bytes, offset + 4, 4);
+        if (type === 'IEND') break;
+        if (type === 'tEXt') {
+            const data = bytes.subarray(offset + 8, offset + 8 + length);
+            const separator = data.indexOf(0);
+            if (separator !== -1 && readAscii(data, 0, separator) === METADATA_KEYWORD) {
+                return decodeMetadata(readAscii(data, separator + 1, data.length - separator - 1));
+            }
+        }
+        offset += length + 12;
+    }
+    return null;
+}
+
+function embedJpegMetadata(bytes, text) {
+    const description = asciiBytes(`${METADATA_KEYWORD}:${text}\0`);
+    const tiff = new Uint8Array(26 + description.length);
+    const view = new DataView(tiff.buffer);
+    tiff.set(asciiBytes('II*\0'));
+    view.setUint32(4, 8, true);
+    view.setUint16(8, 1, true);
+    view.setUint16(10, 0x010e, true);
+    view.setUint16(12, 2, true);
+    view.setUint32(14, description.length, true);
+    view.setUint32(18, 26, true);
+    view.setUint32(22, 0, true);
+    tiff.set(description, 26);
+
+    const segmentLength = 2 + 6 + tiff.length;
+    if (segmentLength > 0xffff) return null;
+    const header = new Uint8Array([0xff, 0xe1, segmentLength >> 8, segmentLength & 0xff]);
+    const segment = concatBytes(header, asciiBytes('Exif\0\0'), tiff);
+
+    let insertAt = 2;
+    if (bytes[2] === 0xff && bytes[3] === 0xe0) insertAt = 4 + ((bytes[4] << 8) | bytes[5]);
+    return concatBytes(bytes.subarray(0, insertAt), segment, bytes.subarray(insertAt));
+}
+
+function readJpegMetadata(bytes) {
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+        const marker = bytes[offset + 1];
+        if (marker === 0xda || marker === 0xd9) break;
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        if (marker === 0xe1 && readAscii(bytes, offset + 4, 6) === 'Exif\0\0') {
+            const tiffStart = offset + 10;
+            const view = new DataView(bytes.buffer, bytes.byteOffset + tiffStart, length - 8);
+            const little = readAscii(bytes, tiffStart, 2) === 'II';
+            const ifd = view.getUint32(4, little);
+            const count = view.getUint16(ifd, little);
+            for (let i = 0; i < count; i++) {
+                const entry = ifd + 2 + i * 12;
+                if (view.getUint16(entry, little) !== 0x010e) continue;
+                const size = view.getUint32(entry + 4, little);
+                const valueOffset = size > 4 ? view.getUint32(entry + 8, little) : entry + 8;
+                const value = readAscii(bytes, tiffStart + valueOffset, size).replace(/\0+$/, '');
+                if (value.startsWith(`${METADATA_KEYWORD}:`)) return decodeMetadata(value.slice(METADATA_KEYWORD.length + 1));
+            }
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+function readWebpChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const size = view.getUint32(offset + 4, true);
+        chunks.push({ type: readAscii(bytes, offset, 4), data: bytes.subarray(offset + 8, offset + 8 + size) });
+        offset += 8 + size + (size % 2);
+    }
+    return chunks;
+}
+
+function buildWebpChunk(type, data) {
+    const chunk = new Uint8Array(8 + data.length + (data.length % 2));
+    chunk.set(asciiBytes(type));
+    new DataView(chunk.buffer).setUint32(4, data.length, true);
+    chunk.set(data, 8);
+    return chunk;
+}
+
+function createVp8xChunk(chunk) {
+    const view = new DataView(chunk.data.buffer, chunk.data.byteOffset, chunk.data.byteLength);
+    let width, height, flags = 0;
+    if (chunk.type === 'VP8 ') {
+        width = view.getUint16(6, true) & 0x3fff;
+        height = view.getUint16(8, true) & 0x3fff;
+    } else if (chunk.type === 'VP8L') {
+        const bits = view.getUint32(1, true);
+        width = (bits & 0x3fff) + 1;
+        height = ((bits >>> 14) & 0x3fff) + 1;
+        if ((bits >>> 28) & 1) flags |= 0x10;
+    } else {
+        return null;
+    }
+    const data = new Uint8Array(10);
+    data[0] = flags;
+    for (let i = 0; i < 3; i++) {
+        data[4 + i] = ((width - 1) >> (8 * i)) & 0xff;
+        data[7 + i] = ((height - 1) >> (8 * i)) & 0xff;
+    }
+    return data;
+}
+
+function embedWebpMetadata(bytes, text) {
+    const chunks = readWebpChunks(bytes).filter(chunk => chunk.type !== 'XMP ');
+    if (chunks.length === 0) return null;
+
+    let vp8x = chunks[0].type === 'VP8X' ? new Uint8Array(chunks[0].data) : createVp8xChunk(chunks[0]);
+    if (!vp8x) return null;
+    vp8x[0] |= 0x04;
+
+    const xmp = new TextEncoder().encode(
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">'
+        + `<rdf:Description rdf:about="" xmlns:iig="${XMP_NAMESPACE}" iig:data="${text}"/>`
+        + '</rdf:RDF></x:xmpmeta>'
+    );
+    const body = concatBytes(
+        asciiBytes('WEBP'),
+        buildWebpChunk('VP8X', vp8x),
+        ...chunks.filter(chunk => chunk.type !== 'VP8X').map(chunk => buildWebpChunk(chunk.type, chunk.data)),
+        buildWebpChunk('XMP ', xmp),
+    );
+    const header = new Uint8Array(8);
+    header.set(asciiBytes('RIFF'));
+    new DataView(header.buffer).setUint32(4, body.length, true);
+    return concatBytes(header, body);
+}
+
+function readWebpMetadata(bytes) {
+    const xmp = readWebpChunks(bytes).find(chunk => chunk.type === 'XMP ');
+    if (!xmp) return null;
+    const match = new TextDecoder().decode(xmp.data).match(/iig:data="([^"]+)"/);
+    return match ? decodeMetadata(match[1]) : null;
+}
+
+function embedImageMetadata(bytes, metadata) {
+    const text = encodeMetadata(metadata);
+    try {
+        if (readAscii(bytes, 1, 3) === 'PNG') return embedPngMetadata(bytes, text);
+        if (bytes[0] === 0xff && bytes[1] === 0xd8) return embedJpegMetadata(bytes, text);
+        if (readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 4) === 'WEBP') return embedWebpMetadata(bytes, text);
+    } catch (error) {
+        iigLog('WARN', 'Failed to embed image metadata:', error.message);
+    }
+    return null;
+}
+
+function extractImageMetadata(bytes) {
+    try {
+        if (readAscii(bytes, 1, 3) === 'PNG') return readPngMetadata(bytes);
+        if (bytes[0] === 0xff && bytes[1] === 0xd8) return readJpegMetadata(bytes);
+        if (readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 4) === 'WEBP') return readWebpMetadata(bytes);
+    } catch (error) {
+        iigLog('WARN', 'Failed to read image metadata:', error.message);
+    }
+    return null;
+}
+
+// /api/images/upload only accepts images, so sidecars live in the shared user files folder.
+// The hash of the full path keeps same-named images of different characters apart.
+function getSidecarName(imagePath) {
+    const fileName = imagePath.split('/').pop().replace(/\.\w+$/, '').replace(/[^\w.-]/g, '_').slice(0, 100);
+    return `iig_meta_${hashString(imagePath)}_${fileName}.json`;
+}
+
+async function saveMetadataSidecar(imagePath, metadata) {
+    try {
+        const context = SillyTavern.getContext();
+        const response = await fetch('/api/files/upload', {
+            method: 'POST',
+            headers: context.getRequestHeaders(),
+            body: JSON.stringify({
+                name: getSidecarName(imagePath),
+                data: bytesToBase64(new TextEncoder().encode(JSON.stringify(metadata))),
+            }),
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        iigLog('INFO', `Metadata sidecar saved for ${imagePath}`);
+    } catch (error) {
+        iigLog('WARN', `Failed to save metadata sidecar for ${imagePath}:`, error.message);
+    }
+}
+
+const METADATA_RANGE_BYTES = 65536;
+
+async function fetchImageRange(imagePath, range) {
+    const response = await fetch(imagePath, { headers: { Range: `bytes=${range}` } });
+    if (response.status >= 500) throw new Error(`HTTP ${response.status}`);
+    if (!response.ok) return null;
+    return { bytes: new Uint8Array(await response.arrayBuffer()), partial: response.status === 206 };
+}
+
+// PNG and JPEG metadata sits right after the header, WebP XMP is the last chunk,
+// so only the first (or last) bytes of the file are downloaded
+async function fetchEmbeddedMetadata(imagePath) {
+    const head = await fetchImageRange(imagePath, `0-${METADATA_RANGE_BYTES - 1}`);
+    if (!head) return null;
+    const metadata = extractImageMetadata(head.bytes);
+    if (metadata || !head.partial) return metadata;
+    if (readAscii(head.bytes, 0, 4) !== 'RIFF' || readAscii(head.bytes, 8, 4) !== 'WEBP') return null;
+
+    const tail = await fetchImageRange(imagePath, `-${METADATA_RANGE_BYTES}`);
+    const match = tail && new TextDecoder().decode(tail.bytes).match(/iig:data="([^"]+)"/);
+    return match ? decodeMetadata(match[1]) : null;
+}
+
+function readImageMetadata(imagePath) {
+    if (!imagePath || !imagePath.startsWith('/') || imagePath.includes('error.svg')) return Promise.resolve(null);
+    if (!imageMetadataCache.has(imagePath)) {
+        imageMetadataCache.set(imagePath, (async () => {
+            try {
+                const metadata = await fetchEmbeddedMetadata(imagePath);
+                if (metadata) return metadata;
+                const sidecar = await fetch(`/user/files/${encodeURIComponent(getSidecarName(imagePath))}`);
+                return sidecar.ok ? await sidecar.json() : null;
+            } catch (error) {
+                imageMetadataCache.delete(imagePath);
+                return null;
+            }
+        })());
+    }
+    return imageMetadataCache.get(imagePath);
+}
+
+function getImageFolderName() {
+    const context = SillyTavern.getContext();
+    if (context.characterId !== undefined && context.characters?.[context.characterId]) {
+        return context.characters[context.characterId].name || 'generated';
+    }
+    return 'generated';
+}
+
+function createImageFileName() {
+    return `iig_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+}
+
+async function saveImageToFile(dataUrl, metadata = null, filename = createImageFileName()) {
     const context = SillyTavern.getContext();
 
     if (dataUrl && !dataUrl.startsWith('data:') && (dataUrl.startsWith('http://') || dataUrl.startsWith('https://'))) {
@@ -212,15 +871,16 @@ async function saveImageToFile(dataUrl) {
     const metaPart = dataUrl.substring(0, commaIndex);
     const formatMatch = metaPart.match(/image\/(\w+)/);
     const format = formatMatch ? formatMatch[1] : 'png';
-    const base64Data = dataUrl.substring(commaIndex + 1);
+    let base64Data = dataUrl.substring(commaIndex + 1);
 
-    let charName = 'generated';
-    if (context.characterId !== undefined && context.characters?.[context.characterId]) {
-        charName = context.characters[context.characterId].name || 'generated';
+    let needsSidecar = false;
+    if (metadata) {
+        const embedded = embedImageMetadata(base64ToBytes(base64Data), metadata);
+        if (embedded) base64Data = bytesToBase64(embedded);
+        else needsSidecar = true;
     }
 
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `iig_${timestamp}`;
+    const charName = getImageFolderName();
 
     const response = await fetch('/api/images/upload', {
         method: 'POST',
@@ -240,9 +900,85 @@ async function saveImageToFile(dataUrl) {
 
     const result = await response.json();
     iigLog('INFO', 'Image saved to:', result.path);
+    if (metadata) imageMetadataCache.set(result.path, Promise.resolve(metadata));
+    if (needsSidecar) await saveMetadataSidecar(result.path, metadata);
     return result.path;
 }
 
+const OUTPUT_MIME_TYPES = Object.freeze({ webp: 'image/webp', jpeg: 'image/jpeg', avif: 'image/avif' });
+const CANVAS_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+async function renderImage(bitmap, { maxSide, mimeType, quality, opaque }) {
+    const scale = maxSide > 0 ? Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height)) : 1;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+
+    const ctx = canvas.getContext('2d');
+    if (opaque) {
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    return new Promise(resolve => canvas.toBlob(resolve, mimeType, quality));
+}
+
+async function encodeImage(bitmap, options) {
+    let blob = await renderImage(bitmap, options);
+    if (!blob || blob.type !== options.mimeType) {
+        iigLog('WARN', `Browser cannot encode ${options.mimeType}, falling back to WebP`);
+        blob = await renderImage(bitmap, { ...options, mimeType: 'image/webp' });
+    }
+    return blob;
+}
+
+async function postProcessImage(dataUrl) {
+    const settings = getSettings();
+    if (settings.outputFormat === 'original' && !settings.maxImageSide && !settings.stripAlpha) return dataUrl;
+
+    try {
+        const source = await (await fetch(dataUrl)).blob();
+        const bitmap = await createImageBitmap(source);
+        const sourceType = CANVAS_MIME_TYPES.includes(source.type) ? source.type : 'image/png';
+        const mimeType = OUTPUT_MIME_TYPES[settings.outputFormat] || sourceType;
+        const blob = await encodeImage(bitmap, {
+            maxSide: settings.maxImageSide,
+            mimeType,
+            quality: settings.outputQuality / 100,
+            opaque: settings.stripAlpha || mimeType === 'image/jpeg',
+        });
+        iigLog('INFO', `Post-processed ${bitmap.width}x${bitmap.height} ${source.type} (${Math.round(source.size / 1024)} KB) into ${blob.type} (${Math.round(blob.size / 1024)} KB)`);
+        bitmap.close();
+        return await readFileAsDataUrl(blob);
+    } catch (error) {
+        iigLog('WARN', 'Post-processing failed, saving the original image:', error.message);
+        return dataUrl;
+    }
+}
+
+async function saveThumbnail(dataUrl, filename) {
+    const settings = getSettings();
+    if (!settings.chatThumbnails || !settings.thumbnailSize) return null;
+
+    try {
+        const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+        const isSmall = Math.max(bitmap.width, bitmap.height) <= settings.thumbnailSize;
+        const blob = isSmall ? null : await encodeImage(bitmap, {
+            maxSide: settings.thumbnailSize,
+            mimeType: 'image/webp',
+            quality: 0.8,
+            opaque: false,
+        });
+        bitmap.close();
+        if (!blob) return null;
+        return await saveImageToFile(await readFileAsDataUrl(blob), null, `${filename}_thumb`);
+    } catch (error) {
+        iigLog('WARN', 'Failed to save thumbnail:', error.message);
+        return null;
+    }
+}
+
 async function getCharacterAvatarBase64() {
     try {
         const context = SillyTavern.getContext();
@@ -311,6 +1047,25 @@ async function getUserAvatarDataUrl() {
     }
 }
 
+function getPersonaAvatarUrl(message) {
+    if (message?.is_user && message.force_avatar && !message.force_avatar.startsWith('data:')) {
+        return message.force_avatar.startsWith('/') ? message.force_avatar : `/${message.force_avatar}`;
+    }
+    const settings = getSettings();
+    if (settings.userAvatarFile) return `/User Avatars/${encodeURIComponent(settings.userAvatarFile)}`;
+    return null;
+}
+
+// With chat thumbnails src points to the small copy, so the full image is taken from data-iig-full
+function getMessageImagePaths(text) {
+    const paths = [];
+    for (const element of tokenizeHtmlTags(text)) {
+        const path = element.attributes.get('data-iig-full') || element.attributes.get('src');
+        if (path?.startsWith('/user/images/') && !path.includes('error.svg')) paths.push(path);
+    }
+    return paths;
+}
+
 async function getPreviousGeneratedImages(count = 2) {
     const context = SillyTavern.getContext();
     const references = [];
@@ -320,12 +1075,8 @@ async function getPreviousGeneratedImages(count = 2) {
         const message = context.chat[i];
         if (!message.mes) continue;
 
-        const imgPathRegex = /src=["']?(\/user\/images\/[^"'\s>]+)/gi;
-        let match;
-
-        while ((match = imgPathRegex.exec(message.mes)) !== null && references.length < count) {
-            const imagePath = match[1];
-            if (imagePath.includes('error.svg')) continue;
+        for (const imagePath of getMessageImagePaths(message.mes)) {
+            if (references.length >= count) break;
 
             try {
                 const base64 = await imageUrlToBase64(imagePath);
@@ -351,12 +1102,8 @@ async function getPreviousGeneratedImagesDataUrls(count = 2) {
         const message = context.chat[i];
         if (!message.mes) continue;
 
-        const imgPathRegex = /src=["']?(\/user\/images\/[^"'\s>]+)/gi;
-        let match;
-
-        while ((match = imgPathRegex.exec(message.mes)) !== null && references.length < count) {
-            const imagePath = match[1];
-            if (imagePath.includes('error.svg')) continue;
+        for (const imagePath of getMessageImagePaths(message.mes)) {
+            if (references.length >= count) break;
 
             try {
                 const dataUrl = await imageUrlToDataUrl(imagePath);
@@ -413,15 +1160,38 @@ async function findMatchingNpcReferencesDataUrls(prompt) {
     return matches;
 }
 
-async function generateImageOpenAI(prompt, style, referenceImages = [], options = {}) {
-    const settings = getSettings();
-    const url = `${settings.endpoint.replace(/\/$/, '')}/v1/images/generations`;
-    const fullPrompt = style ? `[Style: ${style}] ${prompt}` : prompt;
+function appendNegativeToPrompt(prompt, negativePrompt) {
+    return negativePrompt ? `${prompt}\n\nAvoid: ${negativePrompt}` : prompt;
+}
 
-    let size = settings.size;
-    if (options.aspectRatio) {
-        if (options.aspectRatio === '16:9') size = '1792x1024';
-        else if (options.aspectRatio === '9:16') size = '1024x1792';
+function combineNegativePrompts(...prompts) {
+    return prompts.map(p => (p || '').trim()).filter(Boolean).join(', ');
+}
+
+function createRandomSeed() {
+    return Math.floor(Math.random() * 2 ** 31);
+}
+
+function parseSeed(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const seed = Number(value);
+    return Number.isInteger(seed) && seed >= 0 ? seed : null;
+}
+
+function isGptImageModel(modelId) {
+    return (modelId || '').toLowerCase().includes('gpt-image');
+}
+
+async function generateImageOpenAI(prompt, style, referenceImages = [], options = {}) {
+    const settings = options.settings || getGenerationSettings();
+    const isEdit = referenceImages.length > 0;
+    const url = `${settings.endpoint.replace(/\/$/, '')}/v1/images/${isEdit ? 'edits' : 'generations'}`;
+    const fullPrompt = appendNegativeToPrompt(style ? `[Style: ${style}] ${prompt}` : prompt, options.negativePrompt);
+
+    let size = settings.size;
+    if (options.aspectRatio) {
+        if (options.aspectRatio === '16:9') size = '1792x1024';
+        else if (options.aspectRatio === '9:16') size = '1024x1792';
         else if (options.aspectRatio === '1:1') size = '1024x1024';
     }
 
@@ -434,25 +1204,50 @@ async function generateImageOpenAI(prompt, style, referenceImages = [], options
         response_format: 'b64_json'
     };
 
-    if (referenceImages.length > 0) {
-        body.image = `data:image/png;base64,${referenceImages[0]}`;
-    }
+    let response;
+    if (isEdit) {
+        const isGptImage = isGptImageModel(settings.model);
+        const images = isGptImage ? referenceImages.slice(0, 16) : referenceImages.slice(0, 1);
+        const formData = new FormData();
+        for (const [key, value] of Object.entries(body)) {
+            if (key === 'response_format' && isGptImage) continue;
+            formData.append(key, String(value));
+        }
+        images.forEach((imgB64, i) => {
+            formData.append(isGptImage ? 'image[]' : 'image', base64ToBlob(imgB64), `reference_${i + 1}.png`);
+        });
 
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${settings.apiKey}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(body)
-    });
+        iigLog('INFO', `OpenAI edits request: ${images.length} reference image(s)${images.length < referenceImages.length ? ` of ${referenceImages.length}` : ''}`);
 
-    if (!response.ok) {
-        const text = await response.text();
-        throw new Error(`API Error (${response.status}): ${text}`);
+        response = await providerFetch(settings, url, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${settings.apiKey}` },
+            body: formData,
+            signal: options.signal
+        });
+    } else {
+        response = await providerFetch(settings, url, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${settings.apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body),
+            signal: options.signal
+        });
     }
 
+    if (!response.ok) throw await createResponseError(response);
+
     const result = await response.json();
+    if (settings.asyncMode) {
+        const taskId = getByPath(result, settings.asyncTaskIdPath);
+        if (taskId === undefined || taskId === null || taskId === '') {
+            throw new Error(`No task id at "${settings.asyncTaskIdPath}" in response: ${JSON.stringify(result).substring(0, 200)}`);
+        }
+        return await pollAsyncTask(String(taskId), settings, options.onStatusUpdate, options.signal);
+    }
+
     const dataList = result.data || [];
     if (dataList.length === 0) {
         if (result.url) return result.url;
@@ -464,11 +1259,96 @@ async function generateImageOpenAI(prompt, style, referenceImages = [], options
     return imageObj.url;
 }
 
+function getByPath(obj, path) {
+    if (!path) return undefined;
+    const keys = path.replace(/^\$\.?/, '').replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+    let current = obj;
+    for (const key of keys) {
+        if (current === null || current === undefined) return undefined;
+        current = current[key];
+    }
+    return current;
+}
+
+function parseStatusList(value) {
+    return String(value || '').split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+function imageValueToDataUrl(value) {
+    if (typeof value !== 'string' || !value) return null;
+    if (value.startsWith('data:') || value.startsWith('http://') || value.startsWith('https://') || value.startsWith('/')) {
+        return value;
+    }
+    return `data:image/png;base64,${value}`;
+}
+
+function formatAsyncProgress(progress, queuePosition) {
+    if (queuePosition !== undefined && queuePosition !== null && queuePosition !== '' && Number(queuePosition) > 0) {
+        return `В очереди провайдера: #${queuePosition}`;
+    }
+    if (progress === undefined || progress === null || progress === '') return null;
+    if (typeof progress === 'string' && progress.trim().endsWith('%')) return `Генерация: ${progress.trim()}`;
+    const value = Number(progress);
+    if (Number.isNaN(value)) return null;
+    return `Генерация: ${Math.round(value <= 1 ? value * 100 : value)}%`;
+}
+
+async function pollAsyncTask(taskId, settings, onStatusUpdate, signal) {
+    const endpoint = settings.endpoint.replace(/\/$/, '');
+    const statusPath = settings.asyncStatusUrl.replace(/\{\{id\}\}/g, encodeURIComponent(taskId));
+    const statusUrl = /^https?:\/\//.test(statusPath) ? statusPath : `${endpoint}${statusPath.startsWith('/') ? '' : '/'}${statusPath}`;
+    const successValues = parseStatusList(settings.asyncSuccessValues);
+    const failureValues = parseStatusList(settings.asyncFailureValues);
+
+    iigLog('INFO', `Async task submitted: ${taskId}, polling ${statusUrl}`);
+    onStatusUpdate?.('Задача отправлена, ожидание...');
+
+    const startedAt = Date.now();
+    let delay = settings.asyncPollInterval || 2000;
+
+    while (Date.now() - startedAt < settings.asyncMaxWait) {
+        await sleep(delay, signal);
+        delay = Math.min(delay * 1.5, 15000);
+
+        const response = await providerFetch(settings, statusUrl, {
+            method: 'GET',
+            headers: { 'Authorization': `Bearer ${settings.apiKey}` },
+            signal
+        });
+
+        if (!response.ok) throw await createResponseError(response);
+
+        const result = await response.json();
+        const status = String(getByPath(result, settings.asyncStatusPath) ?? '').toLowerCase();
+
+        if (failureValues.includes(status)) {
+            const reason = getByPath(result, settings.asyncErrorPath);
+            const reasonText = typeof reason === 'object' ? JSON.stringify(reason) : String(reason || status);
+            const kind = getErrorKind(0, '', reasonText);
+            throw new GenerationError(`Task ${taskId} failed: ${reasonText}`, { kind, safety: kind === 'safety' });
+        }
+
+        if (successValues.includes(status)) {
+            const image = imageValueToDataUrl(getByPath(result, settings.asyncResultPath));
+            if (!image) throw new Error(`No image at "${settings.asyncResultPath}" in task result`);
+            iigLog('INFO', `Async task ${taskId} finished in ${Math.round((Date.now() - startedAt) / 1000)}s`);
+            return image;
+        }
+
+        const progressText = formatAsyncProgress(
+            getByPath(result, settings.asyncProgressPath),
+            getByPath(result, settings.asyncQueuePath)
+        );
+        onStatusUpdate?.(progressText || `Ожидание задачи (${status || 'pending'})...`);
+    }
+    throw new GenerationError(`Task ${taskId} timeout`, { kind: 'network' });
+}
+
 const VALID_ASPECT_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'];
 const VALID_IMAGE_SIZES = ['1K', '2K', '4K'];
 
 async function generateImageGemini(prompt, style, referenceImages = [], options = {}) {
-    const settings = getSettings();
+    const settings = options.settings || getGenerationSettings();
     const model = settings.model;
     const url = `${settings.endpoint.replace(/\/$/, '')}/v1beta/models/${model}:generateContent`;
 
@@ -489,7 +1369,7 @@ async function generateImageGemini(prompt, style, referenceImages = [], options
         parts.push({ inlineData: { mimeType: 'image/png', data: imgB64 } });
     }
 
-    let fullPrompt = style ? `[Style: ${style}] ${prompt}` : prompt;
+    let fullPrompt = appendNegativeToPrompt(style ? `[Style: ${style}] ${prompt}` : prompt, options.negativePrompt);
     if (referenceImages.length > 0) {
         const refInstruction = `[CRITICAL: The reference image(s) above show the EXACT appearance of the character(s). You MUST precisely copy their: face structure, eye color, hair color and style, skin tone, body type, clothing, and all distinctive features. Do not deviate from the reference appearances.]`;
         fullPrompt = `${refInstruction}\n\n${fullPrompt}`;
@@ -505,39 +1385,45 @@ async function generateImageGemini(prompt, style, referenceImages = [], options
             imageConfig: { aspectRatio: aspectRatio, imageSize: imageSize }
         }
     };
+    if (options.seed !== null && options.seed !== undefined) body.generationConfig.seed = options.seed;
 
-    const response = await fetch(url, {
+    const response = await providerFetch(settings, url, {
         method: 'POST',
         headers: {
             'Authorization': `Bearer ${settings.apiKey}`,
             'Content-Type': 'application/json'
         },
-        body: JSON.stringify(body)
+        body: JSON.stringify(body),
+        signal: options.signal
     });
 
-    if (!response.ok) {
-        const text = await response.text();
-        throw new Error(`API Error (${response.status}): ${text}`);
-    }
+    if (!response.ok) throw await createResponseError(response);
 
     const result = await response.json();
+    if (result.promptFeedback?.blockReason) {
+        throw new GenerationError(`Blocked by safety filter (${result.promptFeedback.blockReason})`, { kind: 'safety', safety: true, code: result.promptFeedback.blockReason });
+    }
     const candidates = result.candidates || [];
-    if (candidates.length === 0) throw new Error('No candidates in response');
+    if (candidates.length === 0) throw new GenerationError('No candidates in response', { kind: 'server' });
 
     const responseParts = candidates[0].content?.parts || [];
     for (const part of responseParts) {
         if (part.inlineData) return `data:${part.inlineData.mimeType};base64,${part.inlineData.data}`;
         if (part.inline_data) return `data:${part.inline_data.mime_type};base64,${part.inline_data.data}`;
     }
-    throw new Error('No image found in Gemini response');
+    const finishReason = candidates[0].finishReason;
+    if (finishReason && /SAFETY|PROHIBITED|BLOCKLIST|SPII/.test(finishReason)) {
+        throw new GenerationError(`Blocked by safety filter (${finishReason})`, { kind: 'safety', safety: true, code: finishReason });
+    }
+    throw new GenerationError('No image found in Gemini response', { kind: 'other' });
 }
 
 async function generateImageNaistera(prompt, style, options = {}) {
-    const settings = getSettings();
+    const settings = options.settings || getGenerationSettings();
     const endpoint = settings.endpoint.replace(/\/$/, '');
     const url = endpoint.endsWith('/api/generate') ? endpoint : `${endpoint}/api/generate`;
 
-    const fullPrompt = style ? `[Style: ${style}] ${prompt}` : prompt;
+    const fullPrompt = appendNegativeToPrompt(style ? `[Style: ${style}] ${prompt}` : prompt, options.negativePrompt);
     const aspectRatio = options.aspectRatio || settings.naisteraAspectRatio || '1:1';
     const preset = options.preset || settings.naisteraPreset || null;
     const referenceImages = options.referenceImages || [];
@@ -546,83 +1432,611 @@ async function generateImageNaistera(prompt, style, options = {}) {
     if (preset) body.preset = preset;
     if (referenceImages.length > 0) body.reference_images = referenceImages.slice(0, 4);
 
-    const response = await fetch(url, {
+    const response = await providerFetch(settings, url, {
         method: 'POST',
         headers: {
             'Authorization': `Bearer ${settings.apiKey}`,
             'Content-Type': 'application/json'
         },
-        body: JSON.stringify(body)
+        body: JSON.stringify(body),
+        signal: options.signal
     });
 
-    if (!response.ok) {
-        const text = await response.text();
-        throw new Error(`API Error (${response.status}): ${text}`);
-    }
+    if (!response.ok) throw await createResponseError(response);
 
     const result = await response.json();
     if (!result?.data_url) throw new Error('No data_url in response');
     return result.data_url;
 }
 
-function validateSettings() {
-    const settings = getSettings();
+// A1111/Forge usually run out of memory at 4096px, so 4K is capped to 2048
+const SD_IMAGE_SIZE_SIDES = { '1K': 1024, '2K': 2048, '4K': 2048 };
+
+function getSDDimensions(settings, aspectRatio, imageSize) {
+    let width = settings.sdWidth || 1024;
+    let height = settings.sdHeight || 1024;
+    const hasRatio = aspectRatio && VALID_ASPECT_RATIOS.includes(aspectRatio);
+    const hasSize = imageSize && SD_IMAGE_SIZE_SIDES[imageSize];
+    if (!hasRatio && !hasSize) return { width, height };
+
+    let ratio = width / height;
+    if (hasRatio) {
+        const [w, h] = aspectRatio.split(':').map(Number);
+        ratio = w / h;
+    }
+    const side = hasSize ? SD_IMAGE_SIZE_SIDES[imageSize] : Math.sqrt(width * height);
+
+    width = Math.max(64, Math.round(side * Math.sqrt(ratio) / 64) * 64);
+    height = Math.max(64, Math.round(side / Math.sqrt(ratio) / 64) * 64);
+    return { width, height };
+}
+
+async function generateImageSDWebUI(prompt, style, referenceImages = [], options = {}) {
+    const settings = options.settings || getGenerationSettings();
+    const endpoint = settings.endpoint.replace(/\/$/, '');
+    const isImg2Img = referenceImages.length > 0;
+    const url = `${endpoint}/sdapi/v1/${isImg2Img ? 'img2img' : 'txt2img'}`;
+
+    const fullPrompt = style ? `${style}, ${prompt}` : prompt;
+    const { width, height } = getSDDimensions(settings, options.aspectRatio, options.imageSize);
+
+    const body = {
+        prompt: fullPrompt,
+        negative_prompt: combineNegativePrompts(options.negativePrompt, settings.sdNegativePrompt),
+        steps: settings.sdSteps,
+        cfg_scale: settings.sdCfgScale,
+        width: width,
+        height: height,
+        batch_size: 1,
+        n_iter: 1
+    };
+    if (options.seed !== null && options.seed !== undefined) body.seed = options.seed;
+    if (settings.sdSampler) body.sampler_name = settings.sdSampler;
+    if (settings.model) body.override_settings = { sd_model_checkpoint: settings.model };
+
+    if (isImg2Img) {
+        body.init_images = [referenceImages[0]];
+        body.denoising_strength = settings.sdDenoisingStrength;
+        if (referenceImages.length > 1) {
+            iigLog('INFO', `SD img2img uses only the first of ${referenceImages.length} reference images`);
+        }
+    }
+
+    iigLog('INFO', `SD WebUI request: ${isImg2Img ? 'img2img' : 'txt2img'} ${width}x${height}, ${body.steps} steps, sampler ${body.sampler_name || 'default'}`);
+
+    const response = await providerFetch(settings, url, {
+        method: 'POST',
+        headers: getSDHeaders(settings),
+        body: JSON.stringify(body),
+        signal: options.signal
+    });
+
+    if (!response.ok) throw await createResponseError(response);
+
+    const result = await response.json();
+    const images = result.images || [];
+    if (images.length === 0) throw new Error('No images in SD WebUI response');
+    return images[0].startsWith('data:') ? images[0] : `data:image/png;base64,${images[0]}`;
+}
+
+const COMFY_PLACEHOLDERS = ['prompt', 'style', 'negative', 'width', 'height', 'seed', 'ref_image_1', 'ref_image_2', 'ref_image_3', 'ref_image_4'];
+const COMFY_POLL_INTERVAL = 1000;
+const COMFY_MAX_WAIT = 10 * 60 * 1000;
+
+function parseComfyWorkflow(text) {
+    let workflow;
+    try {
+        workflow = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Workflow не является JSON: ${e.message}`);
+    }
+    if (!workflow || typeof workflow !== 'object' || Array.isArray(workflow)) {
+        throw new Error('Workflow должен быть JSON-объектом');
+    }
+    if (Array.isArray(workflow.nodes)) {
+        throw new Error('Это workflow в формате UI. Экспортируйте его через "Save (API Format)"');
+    }
+    const nodes = Object.values(workflow);
+    if (nodes.length === 0 || !nodes.every(node => node && typeof node === 'object' && node.class_type)) {
+        throw new Error('Workflow не похож на API Format: у узлов нет class_type');
+    }
+    return workflow;
+}
+
+function buildComfyPlaceholdersHint(text) {
+    if (!text) return `Плейсхолдеры: ${COMFY_PLACEHOLDERS.map(p => `{{${p}}}`).join(', ')}`;
+    const found = COMFY_PLACEHOLDERS.filter(p => text.includes(`{{${p}}}`));
+    if (found.length === 0) return 'В workflow нет плейсхолдеров — промпт не будет подставлен';
+    return `Найдены плейсхолдеры: ${found.map(p => `{{${p}}}`).join(', ')}`;
+}
+
+function fillComfyWorkflow(node, values) {
+    if (typeof node === 'string') {
+        const exact = node.match(/^\{\{(\w+)\}\}$/);
+        if (exact && Object.hasOwn(values, exact[1])) return values[exact[1]];
+        return node.replace(/\{\{(\w+)\}\}/g, (match, key) => Object.hasOwn(values, key) ? String(values[key]) : match);
+    }
+    if (Array.isArray(node)) return node.map(item => fillComfyWorkflow(item, values));
+    if (node && typeof node === 'object') {
+        const filled = {};
+        for (const [key, value] of Object.entries(node)) {
+            filled[key] = fillComfyWorkflow(value, values);
+        }
+        return filled;
+    }
+    return node;
+}
+
+function base64ToBlob(base64, mimeType = 'image/png') {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onloadend = () => resolve(reader.result);
+        reader.onerror = reject;
+        reader.readAsDataURL(blob);
+    });
+}
+
+function getComfyHeaders(settings) {
+    return settings.apiKey ? { 'Authorization': `Bearer ${settings.apiKey}` } : {};
+}
+
+async function uploadComfyReference(endpoint, settings, base64, index, signal) {
+    const formData = new FormData();
+    formData.append('image', base64ToBlob(base64), `iig_ref_${Date.now()}_${index}.png`);
+    formData.append('overwrite', 'true');
+
+    const response = await providerFetch(settings, `${endpoint}/upload/image`, {
+        method: 'POST',
+        headers: getComfyHeaders(settings),
+        body: formData,
+        signal
+    });
+    if (!response.ok) throw await createResponseError(response, 'ComfyUI upload error');
+    const result = await response.json();
+    return result.subfolder ? `${result.subfolder}/${result.name}` : result.name;
+}
+
+function openComfySocket(endpoint, clientId) {
+    return new Promise((resolve) => {
+        let socket;
+        try {
+            socket = new WebSocket(`${endpoint.replace(/^http/, 'ws')}/ws?clientId=${encodeURIComponent(clientId)}`);
+        } catch (e) {
+            resolve(null);
+            return;
+        }
+        const timer = setTimeout(() => { socket.close(); resolve(null); }, 5000);
+        socket.addEventListener('open', () => { clearTimeout(timer); resolve(socket); }, { once: true });
+        socket.addEventListener('error', () => { clearTimeout(timer); resolve(null); }, { once: true });
+    });
+}
+
+// Attached before /prompt is posted, so a cached or fast workflow cannot finish unseen
+function watchComfySocket(socket) {
+    const watcher = { socket, events: [], closed: false, onEvent: null };
+    socket.addEventListener('message', (event) => {
+        if (typeof event.data !== 'string') return;
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (e) {
+            return;
+        }
+        if (watcher.onEvent) watcher.onEvent(message);
+        else watcher.events.push(message);
+    });
+    socket.addEventListener('close', () => {
+        watcher.closed = true;
+        watcher.onEvent?.(null);
+    }, { once: true });
+    return watcher;
+}
+
+function waitForComfySocket(watcher, promptId, onStatusUpdate, signal) {
+    return new Promise((resolve, reject) => {
+        const { socket } = watcher;
+        const timer = setTimeout(() => finish(new GenerationError('ComfyUI timeout', { kind: 'network' })), COMFY_MAX_WAIT);
+
+        let done = false;
+        const onAbort = () => finish(signal.reason);
+        const finish = (error) => {
+            if (done) return;
+            done = true;
+            watcher.onEvent = null;
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            socket.close();
+            if (error) reject(error);
+            else resolve();
+        };
+        if (signal?.aborted) {
+            finish(signal.reason);
+            return;
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        const handleEvent = (message) => {
+            if (!message) {
+                finish(new Error('ComfyUI websocket closed'));
+                return;
+            }
+            const data = message.data || {};
+            if (data.prompt_id && data.prompt_id !== promptId) return;
+
+            if (message.type === 'progress' && data.max) {
+                onStatusUpdate?.(`Генерация ComfyUI: ${Math.round(data.value / data.max * 100)}%`);
+            } else if (message.type === 'executing' && data.node === null && data.prompt_id === promptId) {
+                finish();
+            } else if (message.type === 'execution_error') {
+                finish(new GenerationError(`ComfyUI execution error: ${data.exception_message || 'unknown'}`, { kind: 'server' }));
+            } else if (message.type === 'execution_interrupted') {
+                finish(new GenerationError('ComfyUI execution interrupted', { kind: 'other' }));
+            }
+        };
+
+        watcher.onEvent = handleEvent;
+        for (const message of watcher.events.splice(0)) {
+            if (done) break;
+            handleEvent(message);
+        }
+        if (!done && watcher.closed) handleEvent(null);
+    });
+}
+
+async function pollComfyHistory(endpoint, settings, promptId, onStatusUpdate, signal) {
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < COMFY_MAX_WAIT) {
+        const response = await providerFetch(settings, `${endpoint}/history/${encodeURIComponent(promptId)}`, { headers: getComfyHeaders(settings), signal });
+        if (!response.ok) throw await createResponseError(response, 'ComfyUI history error');
+        const history = await response.json();
+        const entry = history[promptId];
+        if (entry) {
+            if (entry.status?.status_str === 'error') {
+                throw new GenerationError('ComfyUI execution error', { kind: 'server' });
+            }
+            if (entry.status?.completed !== false && entry.outputs) return entry;
+        }
+        onStatusUpdate?.(`Ожидание ComfyUI (${Math.round((Date.now() - startedAt) / 1000)}с)...`);
+        await sleep(COMFY_POLL_INTERVAL, signal);
+    }
+    throw new GenerationError('ComfyUI timeout', { kind: 'network' });
+}
+
+async function generateImageComfyUI(prompt, style, referenceImages = [], options = {}) {
+    const settings = options.settings || getGenerationSettings();
+    const endpoint = settings.endpoint.replace(/\/$/, '');
+    const onStatusUpdate = options.onStatusUpdate;
+    const signal = options.signal;
+    const template = settings.comfyWorkflow;
+    const workflowTemplate = parseComfyWorkflow(template);
+
+    const { width, height } = getSDDimensions(settings, options.aspectRatio, options.imageSize);
+    const hasStylePlaceholder = template.includes('{{style}}');
+    const values = {
+        prompt: style && !hasStylePlaceholder ? `${style}, ${prompt}` : prompt,
+        style: style || '',
+        negative: combineNegativePrompts(options.negativePrompt, settings.sdNegativePrompt),
+        width: width,
+        height: height,
+        seed: options.seed ?? createRandomSeed(),
+    };
+
+    for (let i = 1; i <= 4; i++) {
+        if (!template.includes(`{{ref_image_${i}}}`)) continue;
+        if (!referenceImages[i - 1]) {
+            throw new Error(`Workflow ожидает {{ref_image_${i}}}, но референс не собран — включите референсы в настройках`);
+        }
+        onStatusUpdate?.('Загрузка референсов в ComfyUI...');
+        values[`ref_image_${i}`] = await uploadComfyReference(endpoint, settings, referenceImages[i - 1], i, signal);
+    }
+
+    const workflow = fillComfyWorkflow(workflowTemplate, values);
+    const clientId = `iig-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const socket = settings.comfyUseWebsocket ? await openComfySocket(endpoint, clientId) : null;
+    const watcher = socket ? watchComfySocket(socket) : null;
+    if (settings.comfyUseWebsocket && !socket) {
+        iigLog('WARN', 'ComfyUI websocket unavailable, falling back to /history polling');
+    }
+
+    let promptId;
+    try {
+        const response = await providerFetch(settings, `${endpoint}/prompt`, {
+            method: 'POST',
+            headers: { ...getComfyHeaders(settings), 'Content-Type': 'application/json' },
+            body: JSON.stringify({ prompt: workflow, client_id: clientId }),
+            signal
+        });
+
+        if (!response.ok) throw await createResponseError(response);
+
+        const submitted = await response.json();
+        if (submitted.node_errors && Object.keys(submitted.node_errors).length > 0) {
+            throw new GenerationError(`ComfyUI node errors: ${JSON.stringify(submitted.node_errors).substring(0, 300)}`, { kind: 'params' });
+        }
+        promptId = submitted.prompt_id;
+        if (!promptId) throw new Error('No prompt_id in ComfyUI response');
+    } catch (error) {
+        socket?.close();
+        throw error;
+    }
+
+    iigLog('INFO', `ComfyUI prompt queued: ${promptId} (${width}x${height}, seed ${values.seed})`);
+    onStatusUpdate?.('В очереди ComfyUI...');
+
+    if (watcher) {
+        try {
+            await waitForComfySocket(watcher, promptId, onStatusUpdate, signal);
+        } catch (error) {
+            if (error.message !== 'ComfyUI websocket closed') throw error;
+            iigLog('WARN', 'ComfyUI websocket closed early, polling /history');
+        }
+    }
+    const entry = await pollComfyHistory(endpoint, settings, promptId, onStatusUpdate, signal);
+
+    const outputImages = Object.values(entry.outputs || {}).flatMap(output => output.images || []);
+    const image = outputImages.find(img => img.type === 'output') || outputImages[0];
+    if (!image) throw new Error('No images in ComfyUI outputs');
+
+    const params = new URLSearchParams({ filename: image.filename, subfolder: image.subfolder || '', type: image.type || 'output' });
+    const viewResponse = await providerFetch(settings, `${endpoint}/view?${params}`, { headers: getComfyHeaders(settings), signal });
+    if (!viewResponse.ok) throw await createResponseError(viewResponse, 'ComfyUI view error');
+    return await blobToDataUrl(await viewResponse.blob());
+}
+
+function validateSettings(settings) {
     const errors = [];
     if (!settings.endpoint) errors.push('URL эндпоинта не настроен');
-    if (!settings.apiKey) errors.push('API ключ не настроен');
-    if (settings.apiType !== 'naistera' && !settings.model) errors.push('Модель не выбрана');
-    if (errors.length > 0) throw new Error(`Ошибка настроек: ${errors.join(', ')}`);
+    if (!settings.apiKey && !['sdwebui', 'comfyui'].includes(settings.apiType)) errors.push('API ключ не настроен');
+    if (!['naistera', 'sdwebui', 'comfyui'].includes(settings.apiType) && !settings.model) errors.push('Модель не выбрана');
+    if (settings.apiType === 'comfyui' && !settings.comfyWorkflow) errors.push('Workflow ComfyUI не задан');
+    if (errors.length > 0) throw new Error(`Ошибка настроек профиля "${settings.profileName}": ${errors.join(', ')}`);
 }
 
-async function generateImageWithRetry(prompt, style, onStatusUpdate, options = {}) {
-    validateSettings();
+const SEED_BACKENDS = ['gemini', 'sdwebui', 'comfyui'];
+
+function getBackendType(settings) {
+    if (['naistera', 'sdwebui', 'comfyui'].includes(settings.apiType)) return settings.apiType;
+    if (settings.apiType === 'gemini' || isGeminiModel(settings.model)) return 'gemini';
+    return 'openai';
+}
+
+const RETRYABLE_ERROR_CLASSES = ['quota', 'server', 'network'];
+const MAX_RETRY_AFTER = 120;
+
+function getRetryDelay(error, baseDelay, attempt) {
+    const retryAfter = error?.retryAfter;
+    if (retryAfter === null || retryAfter === undefined) return baseDelay * Math.pow(2, attempt);
+    if (retryAfter > MAX_RETRY_AFTER) return null;
+    return Math.max(baseDelay, retryAfter * 1000);
+}
 
+const generationQueues = new Map();
+
+function getGenerationQueue(settings) {
+    const key = settings.profileId || 'default';
+    if (!generationQueues.has(key)) {
+        generationQueues.set(key, { active: 0, waiting: [], starts: [], timer: null });
+    }
+    return generationQueues.get(key);
+}
+
+function updateQueuePositions(queue) {
+    queue.waiting.forEach((entry, index) => entry.onStatusUpdate?.(`В очереди (#${index + 1})...`));
+}
+
+function pumpGenerationQueue(queue) {
+    clearTimeout(queue.timer);
+    queue.timer = null;
+
+    while (queue.waiting.length > 0) {
+        const head = queue.waiting[0];
+        const limits = getProfileById(head.settings.profileId) || head.settings;
+        const concurrency = Math.max(1, parseInt(limits.queueConcurrency) || 1);
+        if (queue.active >= concurrency) return;
+
+        const rpm = Math.max(0, parseInt(limits.queueRpm) || 0);
+        if (rpm > 0) {
+            const now = Date.now();
+            queue.starts = queue.starts.filter(time => now - time < 60000);
+            if (queue.starts.length >= rpm) {
+                const wait = 60000 - (now - queue.starts[0]);
+                head.onStatusUpdate?.(`В очереди (#1), лимит ${rpm}/мин: ${Math.ceil(wait / 1000)}с...`);
+                queue.timer = setTimeout(() => pumpGenerationQueue(queue), wait);
+                return;
+            }
+            queue.starts.push(now);
+        }
+
+        const entry = queue.waiting.shift();
+        queue.active++;
+        updateQueuePositions(queue);
+
+        Promise.resolve()
+            .then(entry.task)
+            .then(entry.resolve, entry.reject)
+            .finally(() => {
+                queue.active--;
+                pumpGenerationQueue(queue);
+            });
+    }
+}
+
+function enqueueGeneration(settings, task, onStatusUpdate, signal) {
+    const queue = getGenerationQueue(settings);
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const entry = { settings, task, resolve, reject, onStatusUpdate };
+        signal?.addEventListener('abort', () => {
+            const position = queue.waiting.indexOf(entry);
+            if (position === -1) return;
+            queue.waiting.splice(position, 1);
+            updateQueuePositions(queue);
+            reject(signal.reason);
+        }, { once: true });
+        queue.waiting.push(entry);
+        if (queue.waiting.length > 1 || queue.active > 0) updateQueuePositions(queue);
+        pumpGenerationQueue(queue);
+    });
+}
+
+const MAX_CACHE_ENTRIES = 500;
+let cacheUnavailableLogged = false;
+
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function getRequestCacheKey(settings, prompt, style, references, options) {
+    if (!globalThis.crypto?.subtle) {
+        if (!cacheUnavailableLogged) iigLog('WARN', 'crypto.subtle is unavailable (insecure context), request cache disabled');
+        cacheUnavailableLogged = true;
+        return null;
+    }
+    const referenceDigests = await Promise.all(references.map(reference => sha256Hex(reference)));
+    const { outputFormat, outputQuality, maxImageSide, stripAlpha, chatThumbnails, thumbnailSize } = getSettings();
+    return sha256Hex(JSON.stringify({
+        profileId: settings.profileId,
+        backend: getBackendType(settings),
+        model: settings.model || '',
+        size: settings.size || '',
+        prompt,
+        style: style || '',
+        negativePrompt: options.negativePrompt || '',
+        aspectRatio: options.aspectRatio || '',
+        imageSize: options.imageSize || '',
+        quality: options.quality || '',
+        preset: options.preset || '',
+        seed: options.requestedSeed ?? null,
+        variant: options.variantIndex || 0,
+        references: referenceDigests,
+        output: { outputFormat, outputQuality, maxImageSide, stripAlpha, chatThumbnails, thumbnailSize },
+    }));
+}
+
+async function findCachedImage(key) {
+    const settings = getSettings();
+    const entry = settings.imageCache[key];
+    if (!entry) return null;
+    if (await checkFileExists(entry.path)) {
+        if (entry.thumbPath && !await checkFileExists(entry.thumbPath)) entry.thumbPath = null;
+        return entry;
+    }
+
+    delete settings.imageCache[key];
+    saveSettings();
+    iigLog('INFO', `Cached image ${entry.path} no longer exists, entry removed`);
+    return null;
+}
+
+function storeCachedImage(key, result, prompt) {
     const settings = getSettings();
+    settings.imageCache[key] = {
+        path: result.imagePath,
+        thumbPath: result.thumbPath || null,
+        prompt: prompt.substring(0, 200),
+        provider: result.profileName,
+        model: result.model || '',
+        seed: result.seed ?? null,
+        createdAt: Date.now(),
+    };
+
+    const keys = Object.keys(settings.imageCache);
+    if (keys.length > MAX_CACHE_ENTRIES) {
+        keys.sort((a, b) => settings.imageCache[a].createdAt - settings.imageCache[b].createdAt)
+            .slice(0, keys.length - MAX_CACHE_ENTRIES)
+            .forEach(oldKey => delete settings.imageCache[oldKey]);
+    }
+    saveSettings();
+    updateCacheStatus();
+}
+
+async function generateWithProfile(settings, prompt, style, onStatusUpdate, options = {}) {
+    validateSettings(settings);
+    iigLog('INFO', `Using profile "${settings.profileName}" (${settings.apiType}${settings.model ? `, ${settings.model}` : ''})`);
+
     const maxRetries = settings.maxRetries;
     const baseDelay = settings.retryDelay;
 
     const referenceImages = [];
     const referenceDataUrls = [];
 
-    const isGemini = settings.apiType === 'gemini' || isGeminiModel(settings.model);
-    const isNaistera = settings.apiType === 'naistera';
+    const backend = getBackendType(settings);
+    const isNaistera = backend === 'naistera';
+    const isSDWebUI = backend === 'sdwebui';
+    const isComfyUI = backend === 'comfyui';
+    const isGemini = backend === 'gemini';
+    const usesBase64References = !isNaistera;
+    const sendUserAvatar = usesBase64References ? settings.sendUserAvatar : settings.naisteraSendUserAvatar;
+    const personaAvatarUrl = sendUserAvatar ? options.personaAvatarUrl : null;
+
+    if (personaAvatarUrl) {
+        if (usesBase64References) {
+            const personaAvatar = await imageUrlToBase64(personaAvatarUrl);
+            if (personaAvatar) referenceImages.push(personaAvatar);
+        } else {
+            const d = await imageUrlToDataUrl(personaAvatarUrl);
+            if (d) referenceDataUrls.push(d);
+        }
+        options.usedReferences?.push('persona');
+        iigLog('INFO', `Using persona avatar as primary reference: ${personaAvatarUrl}`);
+    }
 
-    if (isGemini && settings.sendCharAvatar) {
+    if (usesBase64References && settings.sendCharAvatar) {
         const charAvatar = await getCharacterAvatarBase64();
         if (charAvatar) referenceImages.push(charAvatar);
+        if (charAvatar) options.usedReferences?.push('char_avatar');
     }
     if (isNaistera && settings.naisteraSendCharAvatar) {
         const d = await getCharacterAvatarDataUrl();
         if (d) referenceDataUrls.push(d);
+        if (d) options.usedReferences?.push('char_avatar');
     }
 
-    if (isGemini && settings.sendUserAvatar) {
+    if (usesBase64References && settings.sendUserAvatar && !personaAvatarUrl) {
         const userAvatar = await getUserAvatarBase64();
         if (userAvatar) referenceImages.push(userAvatar);
+        if (userAvatar) options.usedReferences?.push('user_avatar');
     }
-    if (isNaistera && settings.naisteraSendUserAvatar) {
+    if (isNaistera && settings.naisteraSendUserAvatar && !personaAvatarUrl) {
         const d = await getUserAvatarDataUrl();
         if (d) referenceDataUrls.push(d);
+        if (d) options.usedReferences?.push('user_avatar');
     }
 
     if (settings.sendPreviousImages && settings.previousImagesCount > 0) {
         onStatusUpdate?.('Загрузка предыдущих картинок...');
-        if (isGemini) {
+        if (usesBase64References) {
             const prevImages = await getPreviousGeneratedImages(settings.previousImagesCount);
             referenceImages.push(...prevImages);
+            if (prevImages.length > 0) options.usedReferences?.push(`previous_images:${prevImages.length}`);
         }
         if (isNaistera) {
             const prevDataUrls = await getPreviousGeneratedImagesDataUrls(settings.previousImagesCount);
             referenceDataUrls.push(...prevDataUrls);
+            if (prevDataUrls.length > 0) options.usedReferences?.push(`previous_images:${prevDataUrls.length}`);
         }
     }
 
     if (settings.enableNpcReferences) {
         onStatusUpdate?.('Поиск NPC референсов...');
-        if (isGemini) {
+        if (usesBase64References) {
             const npcMatches = await findMatchingNpcReferences(prompt);
             for (const npc of npcMatches) {
                 referenceImages.push(npc.base64);
+                options.usedReferences?.push(`npc:${npc.name}`);
                 iigLog('INFO', `Adding NPC reference for: ${npc.name}`);
             }
         }
@@ -630,6 +2044,7 @@ async function generateImageWithRetry(prompt, style, onStatusUpdate, options = {
             const npcMatches = await findMatchingNpcReferencesDataUrls(prompt);
             for (const npc of npcMatches) {
                 referenceDataUrls.push(npc.dataUrl);
+                options.usedReferences?.push(`npc:${npc.name}`);
                 iigLog('INFO', `Adding NPC reference (data URL) for: ${npc.name}`);
             }
         }
@@ -637,143 +2052,496 @@ async function generateImageWithRetry(prompt, style, onStatusUpdate, options = {
 
     iigLog('INFO', `Total references collected: ${referenceImages.length} base64, ${referenceDataUrls.length} data URLs`);
 
+    if (options.cache && settings.enableImageCache) {
+        options.cache.key = await getRequestCacheKey(settings, prompt, style, isNaistera ? referenceDataUrls : referenceImages, options);
+        const cached = options.cache.key && !options.cache.forceNew ? await findCachedImage(options.cache.key) : null;
+        if (cached) {
+            iigLog('INFO', `Request cache hit, reusing ${cached.path}`);
+            options.cache.hit = cached;
+            return null;
+        }
+    }
+
+    const runBackend = (attempt) => {
+        onStatusUpdate?.(`Генерация${attempt > 0 ? ` (повтор ${attempt}/${maxRetries})` : ''}...`);
+
+        if (isNaistera) {
+            return generateImageNaistera(prompt, style, { ...options, settings, referenceImages: referenceDataUrls });
+        } else if (isSDWebUI) {
+            return generateImageSDWebUI(prompt, style, referenceImages, { ...options, settings });
+        } else if (isComfyUI) {
+            return generateImageComfyUI(prompt, style, referenceImages, { ...options, settings, onStatusUpdate });
+        } else if (isGemini) {
+            return generateImageGemini(prompt, style, referenceImages, { ...options, settings });
+        }
+        return generateImageOpenAI(prompt, style, referenceImages, { ...options, settings, onStatusUpdate });
+    };
+
     let lastError;
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
         try {
-            onStatusUpdate?.(`Генерация${attempt > 0 ? ` (повтор ${attempt}/${maxRetries})` : ''}...`);
-
-            if (isNaistera) {
-                return await generateImageNaistera(prompt, style, { ...options, referenceImages: referenceDataUrls });
-            } else if (isGemini) {
-                return await generateImageGemini(prompt, style, referenceImages, options);
-            } else {
-                return await generateImageOpenAI(prompt, style, referenceImages, options);
-            }
+            return await enqueueGeneration(settings, () => runBackend(attempt), onStatusUpdate, options.signal);
         } catch (error) {
+            if (isAbortError(error)) throw error;
             lastError = error;
             console.error(`[IIG] Generation attempt ${attempt + 1} failed:`, error);
 
-            const isRetryable = error.message?.includes('429') ||
-                               error.message?.includes('503') ||
-                               error.message?.includes('502') ||
-                               error.message?.includes('504') ||
-                               error.message?.includes('timeout') ||
-                               error.message?.includes('network');
+            if (!RETRYABLE_ERROR_CLASSES.includes(classifyGenerationError(error)) || attempt === maxRetries) break;
 
-            if (!isRetryable || attempt === maxRetries) break;
-
-            const delay = baseDelay * Math.pow(2, attempt);
-            onStatusUpdate?.(`Повтор через ${delay / 1000}с...`);
-            await new Promise(resolve => setTimeout(resolve, delay));
+            const delay = getRetryDelay(error, baseDelay, attempt);
+            if (delay === null) {
+                iigLog('WARN', `Retry-After ${error.retryAfter}s exceeds ${MAX_RETRY_AFTER}s, not retrying`);
+                break;
+            }
+            onStatusUpdate?.(`Повтор через ${Math.round(delay / 1000)}с...`);
+            await sleep(delay, options.signal);
         }
     }
     throw lastError;
 }
 
-async function checkFileExists(path) {
-    try {
-        const response = await fetch(path, { method: 'HEAD' });
-        return response.ok;
-    } catch (e) {
-        return false;
-    }
-}
+const ERROR_CLASSES = Object.freeze({
+    quota: 'Лимит/квота (429)',
+    safety: 'Цензура',
+    server: 'Сбой сервера (5xx)',
+    network: 'Сеть/таймаут',
+    auth: 'Ключ (401/403)',
+    params: 'Неверные параметры (4xx)',
+    other: 'Прочее',
+});
 
-async function parseImageTags(text, options = {}) {
-    const { checkExistence = false, forceAll = false } = options;
-    const tags = [];
+const ERROR_REASONS = Object.freeze({
+    quota: 'Превышен лимит запросов или исчерпана квота',
+    safety: 'Запрос заблокирован фильтром цензуры',
+    server: 'Сбой на стороне сервера',
+    network: 'Сервер недоступен или истёк таймаут',
+    auth: 'Неверный API ключ или нет доступа',
+    params: 'Неверные параметры запроса',
+    other: 'Ошибка генерации',
+});
+
+function formatGenerationError(error) {
+    const reason = ERROR_REASONS[classifyGenerationError(error)];
+    const details = error instanceof GenerationError ? error.details : error?.message;
+    return details ? `${reason}: ${String(details).substring(0, 200)}` : reason;
+}
+
+function classifyGenerationError(error) {
+    if (error instanceof GenerationError) return error.safety ? 'safety' : error.kind;
+
+    const message = String(error?.message || '').toLowerCase();
+    const statusMatch = message.match(/\((\d{3})\)/);
+    const status = statusMatch ? Number(statusMatch[1]) : 0;
+
+    if (status === 429 || /quota|resource_exhausted|rate limit/.test(message)) return 'quota';
+    if (/safety|blocked|content_policy|content policy|moderation|prohibited/.test(message)) return 'safety';
+    if (status === 401 || status === 403) return 'auth';
+    if (status >= 500) return 'server';
+    if (/timeout|network|failed to fetch/.test(message)) return 'network';
+    return 'other';
+}
 
-    const imgTagMarker = 'data-iig-instruction=';
-    let searchPos = 0;
+function findFallbackRule(errorClass, fromIndex, triedProfileIds) {
+    const settings = getSettings();
+    for (let i = fromIndex + 1; i < settings.fallbackRules.length; i++) {
+        const rule = settings.fallbackRules[i];
+        if (!rule.on?.includes(errorClass)) continue;
+        if (triedProfileIds.has(rule.profileId)) continue;
+        const profile = getProfileById(rule.profileId);
+        if (profile) return { index: i, profile };
+    }
+    return null;
+}
+
+async function generateImageWithRetry(prompt, style, onStatusUpdate, options = {}) {
+    let profile = resolveProfile();
+    let ruleIndex = -1;
+    const triedProfileIds = new Set();
 
     while (true) {
-        const markerPos = text.indexOf(imgTagMarker, searchPos);
-        if (markerPos === -1) break;
+        triedProfileIds.add(profile.id);
+        const settings = getGenerationSettings(profile);
+        const seed = SEED_BACKENDS.includes(getBackendType(settings)) ? (options.seed ?? createRandomSeed()) : null;
+        try {
+            const usedReferences = [];
+            const cache = { forceNew: Boolean(options.forceNew), key: null, hit: null };
+            const dataUrl = await generateWithProfile(settings, prompt, style, onStatusUpdate, {
+                ...options,
+                seed,
+                requestedSeed: options.seed ?? null,
+                usedReferences,
+                cache,
+            });
+            if (cache.hit) {
+                return {
+                    imagePath: cache.hit.path,
+                    thumbPath: cache.hit.thumbPath || null,
+                    seed: cache.hit.seed,
+                    profileId: profile.id,
+                    profileName: cache.hit.provider,
+                    model: cache.hit.model,
+                    apiType: settings.apiType,
+                    references: usedReferences,
+                    cached: true,
+                };
+            }
+            if (ruleIndex !== -1) {
+                iigLog('INFO', `Image produced by fallback profile "${profile.name}"`);
+            }
+            return { dataUrl, seed, profileId: profile.id, profileName: profile.name, model: settings.model, apiType: settings.apiType, references: usedReferences, cacheKey: cache.key };
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            const errorClass = classifyGenerationError(error);
+            const fallback = findFallbackRule(errorClass, ruleIndex, triedProfileIds);
+            if (!fallback) throw error;
+
+            iigLog('WARN', `Profile "${profile.name}" failed (${errorClass}): ${error.message}. Falling back to "${fallback.profile.name}"`);
+            onStatusUpdate?.(`Переключение на "${fallback.profile.name}"...`);
+            profile = fallback.profile;
+            ruleIndex = fallback.index;
+        }
+    }
+}
+
+const existingFiles = new Set();
+
+async function checkFileExists(path) {
+    if (existingFiles.has(path)) return true;
+    try {
+        const response = await fetch(path, { method: 'HEAD' });
+        if (response.ok) existingFiles.add(path);
+        return response.ok;
+    } catch (e) {
+        return false;
+    }
+}
+
+const HTML_ENTITIES = Object.freeze({ quot: '"', apos: "'", amp: '&', lt: '<', gt: '>', nbsp: ' ' });
 
-        let imgStart = text.lastIndexOf('<img', markerPos);
-        if (imgStart === -1 || markerPos - imgStart > 500) {
-            searchPos = markerPos + 1;
+function decodeHtmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isNaN(code) ? match : String.fromCodePoint(code);
+        }
+        return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+const QUOTE_ENTITIES = [['&quot;', '"'], ['&#34;', '"'], ['&#39;', "'"], ['&#x27;', "'"], ['&apos;', "'"]];
+
+function readJsonQuote(text, i) {
+    if (text[i] === '"' || text[i] === "'") return { char: text[i], length: 1 };
+    if (text[i] !== '&') return null;
+    for (const [entity, char] of QUOTE_ENTITIES) {
+        if (text.startsWith(entity, i)) return { char, length: entity.length };
+    }
+    return null;
+}
+
+// Works on the raw text so the returned index stays valid, but treats encoded quotes as quotes
+function scanJsonObject(text, start) {
+    let depth = 0;
+    let quote = '';
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === '\\') {
+                i += readJsonQuote(text, i + 1)?.length || 1;
+                continue;
+            }
+            const found = readJsonQuote(text, i);
+            if (found) {
+                if (found.char === quote) quote = '';
+                i += found.length - 1;
+            }
+            continue;
+        }
+        const found = readJsonQuote(text, i);
+        if (found) {
+            quote = found.char;
+            i += found.length - 1;
+        } else if (char === '{') depth++;
+        else if (char === '}' && --depth === 0) return i + 1;
+    }
+    return -1;
+}
+
+function parseLenientJson(source) {
+    try {
+        return JSON.parse(source);
+    } catch (e) {}
+
+    let out = '';
+    let i = 0;
+    while (i < source.length) {
+        const char = source[i];
+
+        if (char === '"' || char === "'") {
+            let value = '';
+            let j = i + 1;
+            while (j < source.length && source[j] !== char) {
+                if (source[j] === '\\') {
+                    value += source[j + 1] === "'" ? "'" : source.substr(j, 2);
+                    j += 2;
+                    continue;
+                }
+                if (source[j] === '"') value += '\\"';
+                else if (source[j] === '\n') value += '\\n';
+                else if (source[j] === '\r') value += '\\r';
+                else if (source[j] === '\t') value += '\\t';
+                else value += source[j];
+                j++;
+            }
+            if (j >= source.length) throw new Error('незакрытая строка');
+            out += `"${value}"`;
+            i = j + 1;
             continue;
         }
 
-        const afterMarker = markerPos + imgTagMarker.length;
-        let jsonStart = text.indexOf('{', afterMarker);
-        if (jsonStart === -1 || jsonStart > afterMarker + 10) {
-            searchPos = markerPos + 1;
+        if (/[A-Za-z_$]/.test(char)) {
+            let j = i;
+            while (j < source.length && /[\w$]/.test(source[j])) j++;
+            const word = source.slice(i, j);
+            const rest = source.slice(j).trimStart();
+            if (rest.startsWith(':')) out += `"${word}"`;
+            else if (['true', 'false', 'null'].includes(word)) out += word;
+            else throw new Error(`неожиданное слово "${word}"`);
+            i = j;
             continue;
         }
 
-        let braceCount = 0;
-        let jsonEnd = -1;
-        let inString = false;
-        let escapeNext = false;
-
-        for (let i = jsonStart; i < text.length; i++) {
-            const char = text[i];
-            if (escapeNext) { escapeNext = false; continue; }
-            if (char === '\\' && inString) { escapeNext = true; continue; }
-            if (char === '"') { inString = !inString; continue; }
-            if (!inString) {
-                if (char === '{') braceCount++;
-                else if (char === '}') {
-                    braceCount--;
-                    if (braceCount === 0) { jsonEnd = i + 1; break; }
+        if (char === ',') {
+            const rest = source.slice(i + 1).trimStart();
+            if (rest.startsWith('}') || rest.startsWith(']')) {
+                i++;
+                continue;
+            }
+        }
+
+        out += char;
+        i++;
+    }
+
+    try {
+        return JSON.parse(out);
+    } catch (e) {
+        throw new Error(`некорректный JSON (${e.message})`);
+    }
+}
+
+function parseInstructionJson(raw) {
+    const data = parseLenientJson(decodeHtmlEntities(raw).trim());
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('инструкция не является объектом');
+    if (!data.prompt || typeof data.prompt !== 'string') throw new Error('нет поля "prompt"');
+    return data;
+}
+
+function tokenizeHtmlTags(text) {
+    const tags = [];
+    const pattern = /<([a-z][\w:-]*)(?=[\s/>])/gi;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const start = match.index;
+        const tagName = match[1].toLowerCase();
+        const attributes = new Map();
+        const spans = new Map();
+        let i = start + match[0].length;
+        let closed = false;
+        let unterminatedJson = null;
+
+        while (i < text.length) {
+            while (i < text.length && /\s/.test(text[i])) i++;
+            if (text[i] === '>') { i++; closed = true; break; }
+            if (text.startsWith('/>', i)) { i += 2; closed = true; break; }
+
+            const nameStart = i;
+            while (i < text.length && !/[\s=>/]/.test(text[i])) i++;
+            const name = text.slice(nameStart, i).toLowerCase();
+            if (!name) { i++; continue; }
+
+            while (i < text.length && /\s/.test(text[i])) i++;
+            if (text[i] !== '=') {
+                attributes.set(name, '');
+                continue;
+            }
+            i++;
+            while (i < text.length && /\s/.test(text[i])) i++;
+
+            const spanStart = i;
+            const quote = text[i] === '"' || text[i] === "'" ? text[i] : '';
+            const valueStart = quote ? i + 1 : i;
+            let valueEnd;
+
+            if (text[valueStart] === '{') {
+                valueEnd = scanJsonObject(text, valueStart);
+                if (valueEnd === -1) {
+                    attributes.set(name, text.slice(valueStart));
+                    unterminatedJson = name;
+                    break;
                 }
+                i = quote && text[valueEnd] === quote ? valueEnd + 1 : valueEnd;
+            } else if (quote) {
+                valueEnd = text.indexOf(quote, valueStart);
+                if (valueEnd === -1) {
+                    attributes.set(name, text.slice(valueStart));
+                    break;
+                }
+                i = valueEnd + 1;
+            } else {
+                valueEnd = valueStart;
+                while (valueEnd < text.length && !/[\s>]/.test(text[valueEnd])) valueEnd++;
+                i = valueEnd;
             }
+            attributes.set(name, text.slice(valueStart, valueEnd));
+            spans.set(name, { start: spanStart - start, end: i - start });
         }
 
-        if (jsonEnd === -1) { searchPos = markerPos + 1; continue; }
+        tags.push({ start, end: i, raw: text.slice(start, i), tagName, attributes, spans, closed, unterminatedJson });
+        pattern.lastIndex = closed ? i : start + match[0].length;
+    }
+    return tags;
+}
 
-        let imgEnd = text.indexOf('>', jsonEnd);
-        if (imgEnd === -1) { searchPos = markerPos + 1; continue; }
-        imgEnd++;
+const TAG_TARGETS = ['src', 'srcset', 'style', 'href', 'poster'];
+
+function resolveTagTarget(tagName, requested) {
+    const target = String(requested || '').trim().toLowerCase();
+    if (target === 'background') return 'style';
+    if (TAG_TARGETS.includes(target)) return target;
+    if (tagName === 'img') return 'src';
+    if (tagName === 'source') return 'srcset';
+    if (tagName === 'video') return 'poster';
+    if (tagName === 'image') return 'href';
+    return 'style';
+}
 
-        const fullImgTag = text.substring(imgStart, imgEnd);
-        const instructionJson = text.substring(jsonStart, jsonEnd);
+const STYLE_URL_PATTERN = /url\(\s*(['"]|&quot;|&#39;)?(.*?)\1\s*\)/i;
 
-        const srcMatch = fullImgTag.match(/src\s*=\s*["']?([^"'\s>]+)/i);
-        const srcValue = srcMatch ? srcMatch[1] : '';
+function readTagTarget(attributes, target) {
+    if (target === 'style') return decodeHtmlEntities(attributes.get('style') || '').match(STYLE_URL_PATTERN)?.[2] || '';
+    if (target === 'href') return attributes.get('href') ?? attributes.get('xlink:href') ?? '';
+    if (target === 'srcset') return (attributes.get('srcset') || '').trim().split(/\s+/)[0];
+    return attributes.get(target) || '';
+}
 
-        let needsGeneration = false;
-        const hasMarker = srcValue.includes('[IMG:GEN]') || srcValue.includes('[IMG:');
-        const hasErrorImage = srcValue.includes('error.svg');
-        const hasPath = srcValue && srcValue.startsWith('/') && srcValue.length > 5;
+function setTagTarget(tag, value, fullPath = null) {
+    const updated = writeTagTarget(tag, value).replace(/\s+data-iig-full\s*=\s*(["'])[^"']*\1/i, '');
+    return fullPath ? updated.replace(/^<[\w:-]+/, name => `${name} data-iig-full="${fullPath}"`) : updated;
+}
+
+function setTagImage(tag, path, thumbPath = null) {
+    return thumbPath && isReplaceableTag(tag) ? setTagTarget(tag, thumbPath, path) : setTagTarget(tag, path);
+}
+
+function getFullImagePath(element) {
+    return element.dataset?.iigFull || element.getAttribute('src') || '';
+}
+
+function writeTagTarget(tag, value) {
+    const { fullMatch } = tag;
+    const target = tag.target || 'src';
+
+    if (target === 'style') {
+        const styleMatch = fullMatch.match(/(\sstyle\s*=\s*)(["'])([\s\S]*?)\2/i);
+        if (!styleMatch) return fullMatch.replace(/^<[\w:-]+/, name => `${name} style="background-image: url('${value}')"`);
+
+        const [whole, prefix, quote, style] = styleMatch;
+        const innerQuote = quote === '"' ? "'" : '"';
+        const updatedStyle = STYLE_URL_PATTERN.test(style)
+            ? style.replace(STYLE_URL_PATTERN, (m, urlQuote = '') => `url(${urlQuote}${value}${urlQuote})`)
+            : `${style.trim().replace(/;?$/, ';')} background-image: url(${innerQuote}${value}${innerQuote})`;
+        return fullMatch.replace(whole, `${prefix}${quote}${updatedStyle}${quote}`);
+    }
+
+    const names = target === 'href' ? 'href|xlink:href' : target;
+    const pattern = new RegExp(`(\\s(?:${names})\\s*=\\s*)(["'])(?:(?!\\2)[\\s\\S])*\\2`, 'i');
+    if (pattern.test(fullMatch)) return fullMatch.replace(pattern, (m, prefix, quote) => `${prefix}${quote}${value}${quote}`);
+    return fullMatch.replace(/^<[\w:-]+/, name => `${name} ${target}="${value}"`);
+}
+
+function isReplaceableTag(tag) {
+    return !tag.isNewFormat || (tag.tagName === 'img' && tag.target === 'src');
+}
+
+function showTargetLoading(element, placeholder) {
+    element.classList.add('iig-target-loading');
+    (element.closest('svg') || element.closest('picture') || element).after(placeholder);
+}
+
+function applyTargetValue(element, tag, value) {
+    element.classList.remove('iig-target-loading');
+    if (tag.target === 'style') element.style.backgroundImage = `url("${value}")`;
+    else element.setAttribute(tag.target, value);
+}
+
+function buildTag(data, fields) {
+    return {
+        style: data.style || '',
+        prompt: data.prompt || '',
+        aspectRatio: data.aspect_ratio || data.aspectRatio || null,
+        preset: data.preset || null,
+        imageSize: data.image_size || data.imageSize || null,
+        quality: data.quality || null,
+        negativePrompt: data.negative_prompt || data.negativePrompt || null,
+        seed: parseSeed(data.seed),
+        variants: parseVariantCount(data.variants ?? data.n),
+        instruction: data,
+        ...fields,
+    };
+}
+
+function reportMalformedTag(errors, fullMatch, index, reason) {
+    errors?.push({ fullMatch, index, reason });
+}
+
+async function parseImageTags(text, options = {}) {
+    const { checkExistence = false, forceAll = false, errors = null } = options;
+    const tags = [];
+
+    for (const element of tokenizeHtmlTags(text)) {
+        if (!element.attributes.has('data-iig-instruction')) continue;
+        if (!element.closed) {
+            const reason = element.unterminatedJson === 'data-iig-instruction'
+                ? 'некорректный JSON (не закрыта скобка или кавычка)'
+                : 'тег не закрыт';
+            reportMalformedTag(errors, element.raw, element.start, reason);
+            continue;
+        }
 
-        if (hasErrorImage && !forceAll) { searchPos = imgEnd; continue; }
+        const target = resolveTagTarget(element.tagName, element.attributes.get('data-iig-target'));
+        const srcValue = decodeHtmlEntities(readTagTarget(element.attributes, target)).trim();
+        const hasMarker = srcValue.includes('[IMG:');
+        const hasErrorImage = srcValue.includes('error.svg');
+        const hasPath = srcValue.startsWith('/') && srcValue.length > 5;
 
-        if (forceAll) needsGeneration = true;
-        else if (hasMarker || !srcValue) needsGeneration = true;
-        else if (hasPath && checkExistence) {
-            const exists = await checkFileExists(srcValue);
-            if (!exists) needsGeneration = true;
-        } else if (hasPath) { searchPos = imgEnd; continue; }
+        if (hasErrorImage && !forceAll) continue;
 
-        if (!needsGeneration) { searchPos = imgEnd; continue; }
+        let needsGeneration = forceAll || hasMarker || !srcValue;
+        if (!needsGeneration && hasPath && checkExistence) {
+            needsGeneration = !await checkFileExists(srcValue);
+        }
+        if (!needsGeneration) continue;
 
+        let data;
         try {
-            let normalizedJson = instructionJson
-                .replace(/"/g, '"').replace(/'/g, "'").replace(/'/g, "'")
-                .replace(/"/g, '"').replace(/&/g, '&');
-
-            const data = JSON.parse(normalizedJson);
-
-            tags.push({
-                fullMatch: fullImgTag,
-                index: imgStart,
-                style: data.style || '',
-                prompt: data.prompt || '',
-                aspectRatio: data.aspect_ratio || data.aspectRatio || null,
-                preset: data.preset || null,
-                imageSize: data.image_size || data.imageSize || null,
-                quality: data.quality || null,
-                isNewFormat: true,
-                existingSrc: hasPath ? srcValue : null
-            });
+            data = parseInstructionJson(element.attributes.get('data-iig-instruction'));
         } catch (e) {
-            iigLog('WARN', `Failed to parse instruction JSON: ${instructionJson.substring(0, 100)}`, e.message);
+            reportMalformedTag(errors, element.raw, element.start, e.message);
+            continue;
         }
 
-        searchPos = imgEnd;
+        tags.push(buildTag(data, {
+            fullMatch: element.raw,
+            index: element.start,
+            isNewFormat: true,
+            tagName: element.tagName,
+            target,
+            id: element.attributes.get('data-iig-id') || null,
+            existingSrc: hasPath ? (element.attributes.get('data-iig-full') || srcValue) : null,
+            existingThumb: hasPath && element.attributes.has('data-iig-full') ? srcValue : null,
+        }));
     }
 
     const marker = '[IMG:GEN:';
@@ -784,51 +2552,25 @@ async function parseImageTags(text, options = {}) {
         if (markerIndex === -1) break;
 
         const jsonStart = markerIndex + marker.length;
-
-        let braceCount = 0;
-        let jsonEnd = -1;
-        let inString = false;
-        let escapeNext = false;
-
-        for (let i = jsonStart; i < text.length; i++) {
-            const char = text[i];
-            if (escapeNext) { escapeNext = false; continue; }
-            if (char === '\\' && inString) { escapeNext = true; continue; }
-            if (char === '"') { inString = !inString; continue; }
-            if (!inString) {
-                if (char === '{') braceCount++;
-                else if (char === '}') {
-                    braceCount--;
-                    if (braceCount === 0) { jsonEnd = i + 1; break; }
-                }
-            }
+        const jsonEnd = text[jsonStart] === '{' ? scanJsonObject(text, jsonStart) : -1;
+        if (text[jsonStart] === '{' && jsonEnd === -1) {
+            reportMalformedTag(errors, text.substring(markerIndex, markerIndex + 100), markerIndex, 'некорректный JSON (не закрыта скобка или кавычка)');
+        }
+        if (jsonEnd === -1 || text[jsonEnd] !== ']') {
+            searchStart = jsonStart;
+            continue;
         }
-
-        if (jsonEnd === -1) { searchStart = jsonStart; continue; }
-
-        const jsonStr = text.substring(jsonStart, jsonEnd);
-        const afterJson = text.substring(jsonEnd);
-        if (!afterJson.startsWith(']')) { searchStart = jsonEnd; continue; }
 
         const tagOnly = text.substring(markerIndex, jsonEnd + 1);
-
         try {
-            const normalizedJson = jsonStr.replace(/'/g, '"');
-            const data = JSON.parse(normalizedJson);
-
-            tags.push({
+            const data = parseInstructionJson(text.substring(jsonStart, jsonEnd));
+            tags.push(buildTag(data, {
                 fullMatch: tagOnly,
                 index: markerIndex,
-                style: data.style || '',
-                prompt: data.prompt || '',
-                aspectRatio: data.aspect_ratio || data.aspectRatio || null,
-                preset: data.preset || null,
-                imageSize: data.image_size || data.imageSize || null,
-                quality: data.quality || null,
-                isNewFormat: false
-            });
+                isNewFormat: false,
+            }));
         } catch (e) {
-            iigLog('WARN', `Failed to parse legacy tag JSON: ${jsonStr.substring(0, 100)}`, e.message);
+            reportMalformedTag(errors, tagOnly, markerIndex, e.message);
         }
 
         searchStart = jsonEnd + 1;
@@ -837,14 +2579,326 @@ async function parseImageTags(text, options = {}) {
     return tags;
 }
 
-function createLoadingPlaceholder(tagId) {
+function getTagGenerationOptions(tag, message = null) {
+    return {
+        personaAvatarUrl: isPersonaMessage(message) ? getPersonaAvatarUrl(message) : null,
+        aspectRatio: tag.aspectRatio,
+        imageSize: tag.imageSize,
+        quality: tag.quality,
+        preset: tag.preset,
+        negativePrompt: tag.negativePrompt,
+        seed: tag.seed,
+    };
+}
+
+function serializeInstruction(data) {
+    return JSON.stringify(data)
+        .replace(/&/g, '\\u0026')
+        .replace(/</g, '\\u003c')
+        .replace(/'/g, '\\u0027');
+}
+
+function buildResultInstruction(tag, result) {
+    const data = { ...tag.instruction };
+    if (result.seed !== null && result.seed !== undefined) data.seed = result.seed;
+    return data;
+}
+
+function setTagInstruction(fullTag, data) {
+    const span = tokenizeHtmlTags(fullTag)[0]?.spans.get('data-iig-instruction');
+    if (!span) return fullTag;
+    return `${fullTag.slice(0, span.start)}'${serializeInstruction(data)}'${fullTag.slice(span.end)}`;
+}
+
+const MAX_VARIANTS = 4;
+
+function parseVariantCount(value) {
+    const count = parseInt(value, 10);
+    return Number.isInteger(count) && count > 0 ? Math.min(MAX_VARIANTS, count) : null;
+}
+
+function hashString(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+function createTagId() {
+    return `iig${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function getTagKey(tag) {
+    return tag.id || `p_${hashString(tag.prompt || '')}`;
+}
+
+function getTagRecord(message, tag) {
+    message.extra ??= {};
+    message.extra.iig_images ??= {};
+    const key = getTagKey(tag);
+    const legacyKey = `p_${hashString(tag.prompt || '')}`;
+    if (!message.extra.iig_images[key] && tag.id && message.extra.iig_images[legacyKey]) {
+        message.extra.iig_images[key] = message.extra.iig_images[legacyKey];
+        delete message.extra.iig_images[legacyKey];
+    }
+    message.extra.iig_images[key] ??= { versions: [], current: 0 };
+    return message.extra.iig_images[key];
+}
+
+async function ensureTagIds(message, pendingTags = []) {
+    const tags = (await parseImageTags(message.mes, { forceAll: true })).filter(tag => tag.isNewFormat);
+    const byIndex = new Map();
+
+    for (const tag of tags) {
+        byIndex.set(tag.index, tag);
+        if (tag.id) continue;
+
+        tag.id = createTagId();
+        const updated = tag.fullMatch.replace(/^<[\w:-]+/, name => `${name} data-iig-id="${tag.id}"`);
+        message.mes = message.mes.replace(tag.fullMatch, updated);
+        tag.fullMatch = updated;
+    }
+
+    for (const pending of pendingTags) {
+        const tag = pending.isNewFormat ? byIndex.get(pending.index) : null;
+        if (!tag) continue;
+        pending.id = tag.id;
+        pending.fullMatch = tag.fullMatch;
+    }
+    return tags;
+}
+
+function getInstructionKey(raw) {
+    try {
+        return JSON.stringify(parseInstructionJson(raw));
+    } catch (e) {
+        return null;
+    }
+}
+
+function syncDomTagIds(mesTextEl, tags) {
+    const elements = [...mesTextEl.querySelectorAll('[data-iig-instruction]')];
+    const renderedIds = new Set(elements.map(element => element.dataset.iigId).filter(Boolean));
+    const byInstruction = new Map();
+    for (const tag of tags) {
+        if (renderedIds.has(tag.id)) continue;
+        const key = JSON.stringify(tag.instruction);
+        byInstruction.set(key, [...(byInstruction.get(key) || []), tag]);
+    }
+
+    for (const element of elements) {
+        if (element.dataset.iigId) continue;
+        const matches = byInstruction.get(getInstructionKey(element.getAttribute('data-iig-instruction'))) || [];
+        if (matches.length !== 1) {
+            iigLog('WARN', `Rendered instruction image matches ${matches.length} tag(s), id not assigned`);
+            continue;
+        }
+        element.dataset.iigId = matches[0].id;
+    }
+}
+
+function findTagElement(mesTextEl, tag) {
+    if (!tag.id) return null;
+    return mesTextEl.querySelector(`[data-iig-id="${CSS.escape(tag.id)}"]`);
+}
+
+function recordTagVersions(message, tag, results, chosenIndex) {
+    const record = getTagRecord(message, tag);
+    if (record.versions.length === 0 && tag.existingSrc && !tag.existingSrc.includes('error.svg')) {
+        record.versions.push({
+            path: tag.existingSrc,
+            thumbPath: tag.existingThumb || null,
+            seed: tag.seed ?? null,
+            provider: '',
+            model: '',
+            createdAt: null,
+        });
+    }
+    if (tag.instruction) record.instruction = tag.instruction;
+    const offset = record.versions.length;
+    for (const result of results) {
+        result.versionIndex = record.versions.length;
+        record.versions.push({
+            path: result.imagePath,
+            thumbPath: result.thumbPath || null,
+            seed: result.seed ?? null,
+            provider: result.profileName,
+            model: result.model || '',
+            createdAt: Date.now(),
+        });
+    }
+    record.current = offset + chosenIndex;
+    return record;
+}
+
+function findTagRecord(message, tag) {
+    const records = message?.extra?.iig_images;
+    if (!records) return null;
+    return records[getTagKey(tag)] || records[`p_${hashString(tag.prompt || '')}`] || null;
+}
+
+async function selectTagVersion(messageId, element, delta) {
+    const message = SillyTavern.getContext().chat[messageId];
+    if (!message || processingMessages.has(messageId)) return null;
+
+    const tag = await findTagForElement(message, element);
+    const record = tag ? findTagRecord(message, tag) : null;
+    if (!record || record.versions.length < 2) return null;
+
+    const index = Math.min(record.versions.length - 1, Math.max(0, record.current + delta));
+    if (index === record.current) return null;
+    return applyTagVersion(messageId, element, tag, record, index);
+}
+
+async function applyTagVersion(messageId, element, tag, record, index) {
+    const context = SillyTavern.getContext();
+    const message = context.chat[messageId];
+
+    const version = record.versions[index];
+    const instruction = { ...tag.instruction };
+    delete instruction.seed;
+    if (version.seed !== null && version.seed !== undefined) instruction.seed = version.seed;
+
+    const updatedTag = setTagInstruction(
+        setTagImage(tag, version.path, version.thumbPath),
+        instruction
+    );
+    message.mes = message.mes.replace(tag.fullMatch, updatedTag);
+    record.current = index;
+
+    const img = createGeneratedImage(tag, {
+        imagePath: version.path,
+        thumbPath: version.thumbPath,
+        profileName: version.provider || '—',
+        model: version.model,
+    }, instruction);
+    element.replaceWith(img);
+    syncSwipeState(message);
+    await context.saveChat();
+
+    iigLog('INFO', `Switched tag in message ${messageId} to version ${index + 1}/${record.versions.length}`);
+    return img;
+}
+
+function showVariantPicker(messageId, element, results) {
+    const strip = document.createElement('div');
+    strip.className = 'iig-variant-strip';
+
+    results.forEach((result, index) => {
+        const thumb = document.createElement('img');
+        thumb.className = 'iig-variant-thumb';
+        thumb.classList.toggle('iig-variant-active', index === 0);
+        thumb.src = result.thumbPath || result.imagePath;
+        thumb.alt = `Вариант ${index + 1}`;
+        thumb.title = `Вариант ${index + 1}${result.seed !== null && result.seed !== undefined ? ` (seed ${result.seed})` : ''}`;
+        thumb.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            strip.remove();
+            if (index === 0 || !element.isConnected) return;
+
+            const message = SillyTavern.getContext().chat[messageId];
+            const tag = message ? await findTagForElement(message, element) : null;
+            const record = tag ? findTagRecord(message, tag) : null;
+            if (!record?.versions[result.versionIndex]) return;
+            await applyTagVersion(messageId, element, tag, record, result.versionIndex);
+            iigLog('INFO', `Variant ${index + 1}/${results.length} chosen`);
+        });
+        strip.appendChild(thumb);
+    });
+
+    element.after(strip);
+}
+
+async function generateTagImage(message, tag, loadingPlaceholder, generationOptions) {
+    const statusEl = loadingPlaceholder.querySelector('.iig-status');
+    const count = tag.variants || getSettings().variants || 1;
+    const results = [];
+
+    for (let i = 0; i < count; i++) {
+        const prefix = count > 1 ? `Вариант ${i + 1}/${count}: ` : '';
+        const seed = generationOptions.seed !== null && generationOptions.seed !== undefined ? generationOptions.seed + i : null;
+        try {
+            const result = await generateImageWithRetry(
+                tag.prompt,
+                tag.style,
+                (status) => { statusEl.textContent = `${prefix}${status}`; },
+                { ...generationOptions, seed, variantIndex: i }
+            );
+            if (!result.cached) {
+                statusEl.textContent = `${prefix}Сохранение...`;
+                const filename = createImageFileName();
+                const imageData = await postProcessImage(result.dataUrl);
+                result.imagePath = await saveImageToFile(imageData, buildImageMetadata(tag, result), filename);
+                result.thumbPath = isReplaceableTag(tag) ? await saveThumbnail(imageData, filename) : null;
+                if (result.cacheKey) storeCachedImage(result.cacheKey, result, tag.prompt);
+            }
+            results.push(result);
+        } catch (error) {
+            if (results.length === 0 || isAbortError(error)) throw error;
+            iigLog('WARN', `Variant ${i + 1}/${count} failed, keeping ${results.length}:`, error.message);
+            break;
+        }
+    }
+
+    recordTagVersions(message, tag, results, 0);
+    return { ...results[0], variants: results };
+}
+
+function formatProviderTitle(result) {
+    return `Provider: ${result.profileName}${result.model ? ` (${result.model})` : ''}`;
+}
+
+function buildImageMetadata(tag, result) {
+    return {
+        generator: 'sillyimages',
+        prompt: tag.prompt,
+        style: tag.style || '',
+        negativePrompt: tag.negativePrompt || '',
+        seed: result.seed ?? null,
+        model: result.model || '',
+        provider: result.profileName,
+        apiType: result.apiType,
+        aspectRatio: tag.aspectRatio || '',
+        imageSize: tag.imageSize || '',
+        references: result.references || [],
+        instruction: buildResultInstruction(tag, result),
+        createdAt: new Date().toISOString(),
+    };
+}
+
+function formatMetadataTitle(metadata) {
+    const lines = [
+        `Style: ${metadata.style || ''}`,
+        `Prompt: ${metadata.prompt || ''}`,
+        formatProviderTitle({ profileName: metadata.provider, model: metadata.model }),
+    ];
+    if (metadata.seed !== null && metadata.seed !== undefined) lines.push(`Seed: ${metadata.seed}`);
+    if (metadata.references?.length) lines.push(`References: ${metadata.references.join(', ')}`);
+    return lines.join('\n');
+}
+
+async function applyMetadataTitle(element) {
+    if (element.title) return;
+    const metadata = await readImageMetadata(getFullImagePath(element));
+    if (metadata && !element.title) element.title = formatMetadataTitle(metadata);
+}
+
+function createLoadingPlaceholder(tagId, controller = null) {
     const placeholder = document.createElement('div');
     placeholder.className = 'iig-loading-placeholder';
     placeholder.dataset.tagId = tagId;
     placeholder.innerHTML = `
         <div class="iig-spinner"></div>
         <div class="iig-status">Генерация картинки...</div>
+        ${controller ? '<div class="menu_button iig-cancel-btn" title="Отменить генерацию"><i class="fa-solid fa-xmark"></i> Отмена</div>' : ''}
     `;
+    placeholder.querySelector('.iig-cancel-btn')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        e.preventDefault();
+        controller.abort();
+    }, { once: true });
     return placeholder;
 }
 
@@ -857,15 +2911,15 @@ function createErrorPlaceholder(tagId, errorMessage, tagInfo) {
     img.alt = 'Ошибка генерации';
     img.title = `Ошибка: ${errorMessage}`;
     img.dataset.tagId = tagId;
+    if (tagInfo.id) img.dataset.iigId = tagInfo.id;
 
-    if (tagInfo.fullMatch) {
-        const instructionMatch = tagInfo.fullMatch.match(/data-iig-instruction\s*=\s*(['"])([\s\S]*?)\1/i);
-        if (instructionMatch) img.setAttribute('data-iig-instruction', instructionMatch[2]);
+    if (tagInfo.isNewFormat && tagInfo.instruction) {
+        img.setAttribute('data-iig-instruction', JSON.stringify(tagInfo.instruction));
     }
     return img;
 }
 
-async function processMessageTags(messageId) {
+async function processMessageTags(messageId, options = {}) {
     const context = SillyTavern.getContext();
     const settings = getSettings();
 
@@ -876,82 +2930,45 @@ async function processMessageTags(messageId) {
     }
 
     const message = context.chat[messageId];
-    if (!message || message.is_user) return;
-
-    const tags = await parseImageTags(message.mes, { checkExistence: true });
-    if (tags.length === 0) return;
+    if (!shouldProcessMessage(message)) return;
+
+    const malformed = [];
+    const tags = await parseImageTags(message.mes, { checkExistence: true, errors: malformed });
+    for (const { fullMatch, index, reason } of malformed) {
+        const key = `${messageId}:${index}`;
+        if (reportedMalformedTags.has(key)) continue;
+        reportedMalformedTags.add(key);
+        iigLog('WARN', `Malformed image tag in message ${messageId} (${reason}): ${fullMatch.substring(0, 100)}`);
+        toastr.warning(`Тег картинки пропущен: ${reason}`, 'Генерация картинок');
+    }
+    if (tags.length === 0) {
+        discardEarlyGenerations(messageId);
+        return;
+    }
 
     processingMessages.add(messageId);
+    const chatId = context.getCurrentChatId();
+    const allTags = await ensureTagIds(message, tags);
     iigLog('INFO', `Found ${tags.length} image tag(s) in message ${messageId}`);
-    toastr.info(`Найдено тегов: ${tags.length}. Генерация...`, 'Генерация картинок', { timeOut: 3000 });
+    if (!options.silent) toastr.info(`Найдено тегов: ${tags.length}. Генерация...`, 'Генерация картинок', { timeOut: 3000 });
 
     const messageElement = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
-    if (!messageElement) { processingMessages.delete(messageId); return; }
+    if (!messageElement) { finishProcessing(messageId); return; }
 
     const mesTextEl = messageElement.querySelector('.mes_text');
-    if (!mesTextEl) { processingMessages.delete(messageId); return; }
+    if (!mesTextEl) { finishProcessing(messageId); return; }
+    syncDomTagIds(mesTextEl, allTags);
 
     const processTag = async (tag, index) => {
         const tagId = `iig-${messageId}-${index}`;
-        const loadingPlaceholder = createLoadingPlaceholder(tagId);
+        const early = takeEarlyGeneration(messageId, tag);
+        const controller = early?.controller || createGenerationController(messageId);
+        const loadingPlaceholder = early?.placeholder || createLoadingPlaceholder(tagId, controller);
+        if (tag.id) loadingPlaceholder.dataset.iigId = tag.id;
         let targetElement = null;
 
         if (tag.isNewFormat) {
-            const allImgs = mesTextEl.querySelectorAll('img[data-iig-instruction]');
-            const searchPrompt = tag.prompt.substring(0, 30);
-
-            for (const img of allImgs) {
-                const instruction = img.getAttribute('data-iig-instruction');
-                if (instruction) {
-                    const decodedInstruction = instruction
-                        .replace(/"/g, '"').replace(/'/g, "'").replace(/'/g, "'")
-                        .replace(/"/g, '"').replace(/&/g, '&');
-
-                    const normalizedSearchPrompt = searchPrompt
-                        .replace(/"/g, '"').replace(/'/g, "'").replace(/'/g, "'")
-                        .replace(/"/g, '"').replace(/&/g, '&');
-
-                    if (decodedInstruction.includes(normalizedSearchPrompt)) {
-                        targetElement = img;
-                        break;
-                    }
-
-                    try {
-                        const normalizedJson = decodedInstruction.replace(/'/g, '"');
-                        const instructionData = JSON.parse(normalizedJson);
-                        if (instructionData.prompt && instructionData.prompt.substring(0, 30) === tag.prompt.substring(0, 30)) {
-                            targetElement = img;
-                            break;
-                        }
-                    } catch (e) {}
-
-                    if (instruction.includes(searchPrompt)) {
-                        targetElement = img;
-                        break;
-                    }
-                }
-            }
-
-            if (!targetElement) {
-                for (const img of allImgs) {
-                    const src = img.getAttribute('src') || '';
-                    if (src.includes('[IMG:GEN]') || src.includes('[IMG:ERROR]') || src === '' || src === '#') {
-                        targetElement = img;
-                        break;
-                    }
-                }
-            }
-
-            if (!targetElement) {
-                const allImgsInMes = mesTextEl.querySelectorAll('img');
-                for (const img of allImgsInMes) {
-                    const src = img.getAttribute('src') || '';
-                    if (src.includes('[IMG:GEN]') || src.includes('[IMG:ERROR]')) {
-                        targetElement = img;
-                        break;
-                    }
-                }
-            }
+            targetElement = findTagElement(mesTextEl, tag);
         } else {
             const tagEscaped = tag.fullMatch
                 .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
@@ -979,7 +2996,10 @@ async function processMessageTags(messageId) {
             }
         }
 
-        if (targetElement) {
+        const inPlace = targetElement && !isReplaceableTag(tag);
+        if (inPlace) {
+            showTargetLoading(targetElement, loadingPlaceholder);
+        } else if (targetElement) {
             const parent = targetElement.parentElement;
             if (parent) {
                 const parentStyle = window.getComputedStyle(parent);
@@ -991,491 +3011,2446 @@ async function processMessageTags(messageId) {
         } else {
             mesTextEl.appendChild(loadingPlaceholder);
         }
-
-        const statusEl = loadingPlaceholder.querySelector('.iig-status');
+        const live = trackLiveTag(messageId, tag, loadingPlaceholder, targetElement);
 
         try {
-            const dataUrl = await generateImageWithRetry(
-                tag.prompt,
-                tag.style,
-                (status) => { statusEl.textContent = status; },
-                { aspectRatio: tag.aspectRatio, imageSize: tag.imageSize, quality: tag.quality, preset: tag.preset }
-            );
-
-            statusEl.textContent = 'Сохранение...';
-            const imagePath = await saveImageToFile(dataUrl);
-
-            const img = document.createElement('img');
-            img.className = 'iig-generated-image';
-            img.src = imagePath;
-            img.alt = tag.prompt;
-            img.title = `Style: ${tag.style}\nPrompt: ${tag.prompt}`;
-
-            if (tag.isNewFormat) {
-                const instructionMatch = tag.fullMatch.match(/data-iig-instruction\s*=\s*(['"])([\s\S]*?)\1/i);
-                if (instructionMatch) img.setAttribute('data-iig-instruction', instructionMatch[2]);
+            const result = await (early?.promise
+                || generateTagImage(message, tag, loadingPlaceholder, { ...getTagGenerationOptions(tag, message), signal: controller.signal }));
+            const imagePath = result.imagePath;
+
+            const resultInstruction = buildResultInstruction(tag, result);
+            const img = inPlace ? live.target : createGeneratedImage(tag, result, resultInstruction);
+            if (inPlace) {
+                loadingPlaceholder.remove();
+                applyTargetValue(live.target, tag, imagePath);
+                live.target.setAttribute('data-iig-instruction', JSON.stringify(resultInstruction));
+            } else {
+                if (!tag.isNewFormat) img.removeAttribute('data-iig-instruction');
+                loadingPlaceholder.replaceWith(img);
             }
 
-            loadingPlaceholder.replaceWith(img);
-
             if (tag.isNewFormat) {
-                const updatedTag = tag.fullMatch.replace(/src\s*=\s*(['"])[^'"]*\1/i, `src="${imagePath}"`);
+                const updatedTag = setTagInstruction(
+                    setTagImage(tag, imagePath, result.thumbPath),
+                    resultInstruction
+                );
                 message.mes = message.mes.replace(tag.fullMatch, updatedTag);
+                if (result.variants?.length > 1) showVariantPicker(messageId, img, result.variants);
             } else {
                 const completionMarker = `[IMG:✓:${imagePath}]`;
                 message.mes = message.mes.replace(tag.fullMatch, completionMarker);
+                recordLegacyMarker(message, completionMarker, resultInstruction);
             }
 
-            iigLog('INFO', `Successfully generated image for tag ${index}`);
+            iigLog('INFO', `Successfully generated image for tag ${index} via "${result.profileName}"`);
             toastr.success(`Картинка ${index + 1}/${tags.length} готова`, 'Генерация картинок', { timeOut: 2000 });
         } catch (error) {
+            if (isAbortError(error)) {
+                iigLog('INFO', `Generation cancelled for tag ${index} in message ${messageId}`);
+                if (loadingPlaceholder.isConnected) {
+                    loadingPlaceholder.replaceWith(createPendingPlaceholder(messageId, tag, inPlace ? live.target : null));
+                }
+                live.target?.classList.remove('iig-target-loading');
+                return;
+            }
             iigLog('ERROR', `Failed to generate image for tag ${index}:`, error.message);
 
-            const errorPlaceholder = createErrorPlaceholder(tagId, error.message, tag);
-            loadingPlaceholder.replaceWith(errorPlaceholder);
+            if (inPlace) {
+                loadingPlaceholder.remove();
+                applyTargetValue(live.target, tag, ERROR_IMAGE_PATH);
+                live.target.title = `Ошибка: ${formatGenerationError(error)}`;
+            } else {
+                loadingPlaceholder.replaceWith(createErrorPlaceholder(tagId, formatGenerationError(error), tag));
+            }
 
             if (tag.isNewFormat) {
-                const errorTag = tag.fullMatch.replace(/src\s*=\s*(['"])[^'"]*\1/i, `src="${ERROR_IMAGE_PATH}"`);
+                const errorTag = setTagTarget(tag, ERROR_IMAGE_PATH);
                 message.mes = message.mes.replace(tag.fullMatch, errorTag);
             } else {
-                const errorMarker = `[IMG:ERROR:${error.message.substring(0, 50)}]`;
+                const errorMarker = `[IMG:ERROR:${error.message.substring(0, 50).replace(/\]/g, ')')}]`;
                 message.mes = message.mes.replace(tag.fullMatch, errorMarker);
+                recordLegacyMarker(message, errorMarker, tag.instruction);
             }
 
-            toastr.error(`Ошибка генерации: ${error.message}`, 'Генерация картинок');
+            toastr.error(formatGenerationError(error), 'Генерация картинок');
+        } finally {
+            untrackLiveTag(messageId, live);
+            releaseGenerationController(messageId, controller);
         }
     };
 
     try {
         await Promise.all(tags.map((tag, index) => processTag(tag, index)));
-        await context.saveChat();
+        if (!await saveChatIfCurrent(chatId, message)) return;
         iigLog('INFO', `Finished processing message ${messageId}`);
     } finally {
-        processingMessages.delete(messageId);
+        finishProcessing(messageId);
+        discardEarlyGenerations(messageId);
     }
 }
 
-async function regenerateMessageImages(messageId) {
+async function saveChatIfCurrent(chatId, message) {
     const context = SillyTavern.getContext();
-    const message = context.chat[messageId];
+    if (context.getCurrentChatId() !== chatId) {
+        iigLog('WARN', 'Chat changed during generation, results are not saved');
+        return false;
+    }
+    syncSwipeState(message);
+    await context.saveChat();
+    return true;
+}
 
-    if (!message) {
-        toastr.error('Сообщение не найдено', 'Генерация картинок');
-        return;
+function syncSwipeState(message) {
+    if (!message || !Array.isArray(message.swipes) || message.swipe_id === undefined) return;
+    message.swipes[message.swipe_id] = message.mes;
+
+    const swipeInfo = message.swipe_info?.[message.swipe_id];
+    if (!swipeInfo || !message.extra) return;
+    for (const key of ['iig_images', 'iig_markers']) {
+        if (message.extra[key]) {
+            swipeInfo.extra ??= {};
+            swipeInfo.extra[key] = structuredClone(message.extra[key]);
+        } else if (swipeInfo.extra) {
+            delete swipeInfo.extra[key];
+        }
     }
+}
 
-    const tags = await parseImageTags(message.mes, { forceAll: true });
+function finishProcessing(messageId) {
+    processingMessages.delete(messageId);
+    if (rescanMessages.delete(messageId)) setTimeout(() => processMessageTags(messageId, { silent: true }), 0);
+}
 
-    if (tags.length === 0) {
-        toastr.warning('Нет тегов для перегенерации', 'Генерация картинок');
-        return;
-    }
+function trackLiveTag(messageId, tag, placeholder, target) {
+    const live = { tag, placeholder, target };
+    if (!liveTags.has(messageId)) liveTags.set(messageId, new Set());
+    liveTags.get(messageId).add(live);
+    return live;
+}
 
-    iigLog('INFO', `Regenerating ${tags.length} images in message ${messageId}`);
-    toastr.info(`Перегенерация ${tags.length} картинок...`, 'Генерация картинок');
+function untrackLiveTag(messageId, live) {
+    const lives = liveTags.get(messageId);
+    if (!lives) return;
+    lives.delete(live);
+    if (lives.size === 0) liveTags.delete(messageId);
+}
 
-    processingMessages.add(messageId);
+function reattachLivePlaceholders(messageId) {
+    const lives = liveTags.get(messageId);
+    const mesTextEl = document.querySelector(`#chat .mes[mesid="${messageId}"] .mes_text`);
+    if (!lives || !mesTextEl) return;
 
-    const messageElement = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
-    if (!messageElement) { processingMessages.delete(messageId); return; }
+    for (const live of lives) {
+        if (mesTextEl.contains(live.placeholder)) continue;
+        const element = findTagElement(mesTextEl, live.tag);
+        if (!element) continue;
 
-    const mesTextEl = messageElement.querySelector('.mes_text');
-    if (!mesTextEl) { processingMessages.delete(messageId); return; }
+        if (isReplaceableTag(live.tag)) {
+            element.replaceWith(live.placeholder);
+        } else {
+            showTargetLoading(element, live.placeholder);
+            live.target = element;
+        }
+        iigLog('INFO', `Reattached live placeholder in message ${messageId}`);
+    }
+}
 
-    for (let index = 0; index < tags.length; index++) {
-        const tag = tags[index];
-        const tagId = `iig-regen-${messageId}-${index}`;
+function onMessageChanged(messageId) {
+    const id = Number(messageId);
+    if (Number.isNaN(id) || !getSettings().enabled) return;
 
-        try {
-            const existingImg = mesTextEl.querySelector(`img[data-iig-instruction]`);
-            if (existingImg) {
-                const instruction = existingImg.getAttribute('data-iig-instruction');
+    reattachLivePlaceholders(id);
+    renderLegacyMarkers(id);
+    const messageElement = document.querySelector(`#chat .mes[mesid="${id}"]`);
+    if (messageElement) addRegenerateButton(messageElement, id);
+
+    if (processingMessages.has(id)) {
+        rescanMessages.add(id);
+        return;
+    }
+    processMessageTags(id, { silent: true });
+}
 
-                const loadingPlaceholder = createLoadingPlaceholder(tagId);
-                existingImg.replaceWith(loadingPlaceholder);
+function getEarlyGenerationKey(messageId, tag) {
+    return `${messageId}:${tag.fullMatch.replace(/\s*data-iig-id\s*=\s*(['"])[^'"]*\1/i, '')}`;
+}
 
-                const statusEl = loadingPlaceholder.querySelector('.iig-status');
+function takeEarlyGeneration(messageId, tag) {
+    const key = getEarlyGenerationKey(messageId, tag);
+    const early = earlyGenerations.get(key);
+    if (!early) return null;
+    earlyGenerations.delete(key);
+    iigLog('INFO', `Attaching streamed generation to message ${messageId}`);
+    return early;
+}
 
-                const dataUrl = await generateImageWithRetry(
-                    tag.prompt,
-                    tag.style,
-                    (status) => { statusEl.textContent = status; },
-                    { aspectRatio: tag.aspectRatio, imageSize: tag.imageSize, quality: tag.quality, preset: tag.preset }
-                );
+function discardEarlyGenerations(messageId = null) {
+    for (const [key, early] of earlyGenerations) {
+        if (messageId !== null && early.messageId !== messageId) continue;
+        early.controller.abort();
+        releaseGenerationController(early.messageId, early.controller);
+        earlyGenerations.delete(key);
+    }
+}
 
-                statusEl.textContent = 'Сохранение...';
-                const imagePath = await saveImageToFile(dataUrl);
+async function onStreamToken(text) {
+    const settings = getSettings();
+    if (!settings.enabled || !settings.streamingGeneration || typeof text !== 'string') return;
+    if (!text.includes('data-iig-instruction') && !text.includes('[IMG:GEN:')) return;
 
-                const img = document.createElement('img');
-                img.className = 'iig-generated-image';
-                img.src = imagePath;
-                img.alt = tag.prompt;
-                if (instruction) img.setAttribute('data-iig-instruction', instruction);
-                loadingPlaceholder.replaceWith(img);
+    const context = SillyTavern.getContext();
+    const processor = context.streamingProcessor;
+    if (!processor || processor.type === 'impersonate') return;
+    const messageId = Number(processor.messageId);
+    const message = Number.isInteger(messageId) && messageId >= 0 ? context.chat[messageId] : null;
+    if (!shouldProcessMessage(message) || processingMessages.has(messageId)) return;
+
+    const tags = await parseImageTags(text);
+    for (const tag of tags) {
+        const key = getEarlyGenerationKey(messageId, tag);
+        if (earlyGenerations.has(key)) continue;
+
+        const controller = createGenerationController(messageId);
+        const placeholder = createLoadingPlaceholder(`iig-stream-${messageId}-${tag.index}`, controller);
+        const promise = generateTagImage(message, tag, placeholder, { ...getTagGenerationOptions(tag, message), signal: controller.signal });
+        promise.catch(() => {});
+
+        earlyGenerations.set(key, { messageId, controller, placeholder, promise });
+        iigLog('INFO', `Started generation during streaming for message ${messageId}: ${tag.prompt.substring(0, 50)}`);
+    }
+}
 
-                const updatedTag = tag.fullMatch.replace(/src\s*=\s*(['"])[^'"]*\1/i, `src="${imagePath}"`);
-                message.mes = message.mes.replace(tag.fullMatch, updatedTag);
+const RESUME_SCAN_CONCURRENCY = 4;
 
-                toastr.success(`Картинка ${index + 1}/${tags.length} готова`, 'Генерация картинок', { timeOut: 2000 });
-            }
-        } catch (error) {
-            iigLog('ERROR', `Regeneration failed for tag ${index}:`, error.message);
-            toastr.error(`Ошибка: ${error.message}`, 'Генерация картинок');
-        }
+async function findUnresolvedMessages() {
+    const chat = SillyTavern.getContext().chat;
+    const candidates = [];
+    for (let messageId = 0; messageId < chat.length; messageId++) {
+        const message = chat[messageId];
+        if (!shouldProcessMessage(message) || processingMessages.has(messageId)) continue;
+        if (!document.querySelector(`#chat .mes[mesid="${messageId}"]`)) continue;
+        candidates.push(messageId);
     }
 
-    processingMessages.delete(messageId);
-    await context.saveChat();
-    iigLog('INFO', `Regeneration complete for message ${messageId}`);
+    // Existence checks are HEAD requests, so only a few messages are scanned at once
+    const pending = [];
+    for (let i = 0; i < candidates.length; i += RESUME_SCAN_CONCURRENCY) {
+        await Promise.all(candidates.slice(i, i + RESUME_SCAN_CONCURRENCY).map(async (messageId) => {
+            const tags = await parseImageTags(chat[messageId].mes, { checkExistence: true });
+            if (tags.length > 0) pending.push({ messageId, count: tags.length });
+        }));
+    }
+    return pending.sort((a, b) => a.messageId - b.messageId);
 }
 
-function addRegenerateButton(messageElement, messageId) {
-    if (messageElement.querySelector('.iig-regenerate-btn')) return;
+async function resumePendingTags(options = {}) {
+    const { manual = false } = options;
+    const context = SillyTavern.getContext();
+    const settings = getSettings();
+    if (!settings.enabled) {
+        if (manual) toastr.warning('Расширение выключено', 'Генерация картинок');
+        return;
+    }
+    if (!manual && settings.resumeOnChatLoad === 'off') return;
 
-    const extraMesButtons = messageElement.querySelector('.extraMesButtons');
-    if (!extraMesButtons) return;
+    const chatId = context.getCurrentChatId();
+    if (!chatId) return;
 
-    const btn = document.createElement('div');
-    btn.className = 'mes_button iig-regenerate-btn fa-solid fa-images interactable';
-    btn.title = 'Перегенерировать картинки';
-    btn.tabIndex = 0;
-    btn.addEventListener('click', async (e) => {
-        e.stopPropagation();
-        await regenerateMessageImages(messageId);
-    });
+    if (manual) existingFiles.clear();
+    const pending = await findUnresolvedMessages();
+    if (context.getCurrentChatId() !== chatId) return;
+    if (pending.length === 0) {
+        if (manual) toastr.info('Несгенерированных картинок не найдено', 'Генерация картинок');
+        return;
+    }
 
-    extraMesButtons.appendChild(btn);
+    const total = pending.reduce((sum, entry) => sum + entry.count, 0);
+    iigLog('INFO', `Found ${total} unresolved image(s) in ${pending.length} message(s) of chat ${chatId}`);
+
+    if (!manual && settings.resumeOnChatLoad === 'ask') {
+        const confirmed = await context.callGenericPopup(
+            `В чате несгенерированных картинок: ${total} (сообщений: ${pending.length}). Сгенерировать их сейчас?`,
+            context.POPUP_TYPE.CONFIRM,
+            '',
+            { okButton: 'Сгенерировать', cancelButton: 'Позже' }
+        );
+        if (!confirmed || context.getCurrentChatId() !== chatId) return;
+    }
+
+    toastr.info(`Догенерация картинок: ${total}...`, 'Генерация картинок', { timeOut: 3000 });
+    for (const { messageId } of pending) {
+        if (context.getCurrentChatId() !== chatId) break;
+        await processMessageTags(messageId, { silent: true });
+    }
 }
 
-function addButtonsToExistingMessages() {
-    const context = SillyTavern.getContext();
-    if (!context.chat || context.chat.length === 0) return;
+const LEGACY_MARKER_PATTERN = /\[IMG:(✓|ERROR):([^\]]*)\]/g;
 
-    const messageElements = document.querySelectorAll('#chat .mes');
-    let addedCount = 0;
+function recordLegacyMarker(message, marker, instruction) {
+    message.extra ??= {};
+    message.extra.iig_markers ??= [];
+    message.extra.iig_markers.push({ marker, instruction });
+}
 
-    for (const messageElement of messageElements) {
-        const mesId = messageElement.getAttribute('mesid');
-        if (mesId === null) continue;
+function createMarkerImage(path) {
+    const img = document.createElement('img');
+    img.className = 'iig-generated-image';
+    img.src = path;
+    img.alt = 'Сгенерированная картинка';
+    applyMetadataTitle(img);
+    return img;
+}
 
-        const messageId = parseInt(mesId, 10);
-        const message = context.chat[messageId];
+function renderLegacyMarkers(messageId) {
+    const mesTextEl = document.querySelector(`#chat .mes[mesid="${messageId}"] .mes_text`);
+    if (!mesTextEl || !mesTextEl.textContent.includes('[IMG:')) return;
 
-        if (message && !message.is_user) {
-            addRegenerateButton(messageElement, messageId);
-            addedCount++;
+    const walker = document.createTreeWalker(mesTextEl, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) {
+        if (walker.currentNode.nodeValue.includes('[IMG:')) nodes.push(walker.currentNode);
+    }
+
+    let index = 0;
+    for (const node of nodes) {
+        const text = node.nodeValue;
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+        for (const match of text.matchAll(LEGACY_MARKER_PATTERN)) {
+            fragment.append(text.slice(last, match.index));
+            const value = match[2].trim();
+            fragment.append(match[1] === '✓'
+                ? createMarkerImage(value)
+                : createErrorPlaceholder(`iig-marker-${messageId}-${index}`, value, {}));
+            last = match.index + match[0].length;
+            index++;
         }
+        if (last === 0) continue;
+        fragment.append(text.slice(last));
+        node.replaceWith(fragment);
     }
+}
 
-    iigLog('INFO', `Added regenerate buttons to ${addedCount} existing messages`);
+function findRecordInstruction(extra, path) {
+    for (const record of Object.values(extra?.iig_images || {})) {
+        if (record.instruction && record.versions?.some(version => version.path === path)) return record.instruction;
+    }
+    return null;
 }
 
-async function onMessageReceived(messageId) {
-    iigLog('INFO', `onMessageReceived: ${messageId}`);
+async function migrateMarkerText(text, extra) {
+    const stats = { migrated: 0, skipped: 0 };
+    if (typeof text !== 'string' || !text.includes('[IMG:')) return { text, ...stats };
+
+    const entries = [...(extra?.iig_markers || [])];
+    const replacements = [];
+    for (const [marker, kind, value] of text.matchAll(LEGACY_MARKER_PATTERN)) {
+        const entryIndex = entries.findIndex(entry => entry.marker === marker);
+        let instruction = entryIndex === -1 ? null : entries.splice(entryIndex, 1)[0].instruction;
+        if (!instruction && kind === '✓') instruction = findRecordInstruction(extra, value.trim());
+        if (!instruction && kind === '✓') instruction = (await readImageMetadata(value.trim()))?.instruction;
+        replacements.push(instruction);
+    }
 
-    const settings = getSettings();
-    if (!settings.enabled) return;
+    let replacementIndex = 0;
+    const migratedText = text.replace(LEGACY_MARKER_PATTERN, (marker, kind, value) => {
+        const instruction = replacements[replacementIndex++];
+        if (!instruction?.prompt) {
+            stats.skipped++;
+            return marker;
+        }
 
-    const messageElement = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
-    if (!messageElement) return;
+        const id = createTagId();
+        const src = kind === '✓' ? value.trim() : ERROR_IMAGE_PATH;
+        const legacyKey = `p_${hashString(instruction.prompt)}`;
+        if (kind === '✓' && extra?.iig_images?.[legacyKey]) {
+            extra.iig_images[id] = extra.iig_images[legacyKey];
+            delete extra.iig_images[legacyKey];
+        }
+        stats.migrated++;
+        return `<img data-iig-id="${id}" data-iig-instruction='${serializeInstruction(instruction)}' src="${src.replace(/"/g, '&quot;')}">`;
+    });
 
-    addRegenerateButton(messageElement, messageId);
-    await processMessageTags(messageId);
+    if (extra?.iig_markers) {
+        if (entries.length > 0) extra.iig_markers = entries;
+        else delete extra.iig_markers;
+    }
+    return { text: migratedText, ...stats };
 }
 
-function readFileAsDataUrl(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(reader.result);
-        reader.onerror = reject;
-        reader.readAsDataURL(file);
+async function migrateChatMarkers(chat) {
+    const stats = { migrated: 0, skipped: 0 };
+    const add = (result) => {
+        stats.migrated += result.migrated;
+        stats.skipped += result.skipped;
+        return result.text;
+    };
+
+    for (const message of chat) {
+        if (typeof message?.mes !== 'string') continue;
+        message.mes = add(await migrateMarkerText(message.mes, message.extra));
+
+        if (!Array.isArray(message.swipes)) continue;
+        for (let swipeId = 0; swipeId < message.swipes.length; swipeId++) {
+            if (swipeId === message.swipe_id) continue;
+            message.swipes[swipeId] = add(await migrateMarkerText(message.swipes[swipeId], message.swipe_info?.[swipeId]?.extra));
+        }
+        syncSwipeState(message);
+    }
+    return stats;
+}
+
+async function postJson(url, body) {
+    const context = SillyTavern.getContext();
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: context.getRequestHeaders(),
+        body: JSON.stringify(body),
     });
+    if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+    return response.json().catch(() => null);
 }
 
-function createSettingsUI() {
-    const settings = getSettings();
+async function migrateCurrentChatMarkers() {
+    const context = SillyTavern.getContext();
+    if (!context.getCurrentChatId() || !Array.isArray(context.chat)) return { migrated: 0, skipped: 0 };
 
-    const container = document.getElementById('extensions_settings');
-    if (!container) {
-        console.error('[IIG] Settings container not found');
-        return;
+    const stats = await migrateChatMarkers(context.chat);
+    if (stats.migrated > 0) {
+        await context.saveChat();
+        await context.reloadCurrentChat();
     }
+    return stats;
+}
 
-    const buildNpcListHtml = () => {
-        if (!settings.npcReferences || settings.npcReferences.length === 0) {
-            return '<div class="iig-npc-empty">Нет добавленных NPC</div>';
-        }
-
-        return settings.npcReferences.map((npc, index) => `
-            <div class="iig-npc-item" data-index="${index}">
-                <img src="${npc.imageDataUrl}" class="iig-npc-thumbnail" alt="${npc.name}">
-                <span class="iig-npc-name" title="${npc.name}">${npc.name}</span>
-                <div class="iig-npc-delete menu_button fa-solid fa-xmark" data-index="${index}" title="Удалить"></div>
-            </div>
-        `).join('');
+async function migrateAllChatMarkers() {
+    const context = SillyTavern.getContext();
+    const currentChatId = context.getCurrentChatId();
+    const stats = await migrateCurrentChatMarkers();
+    let chatCount = stats.migrated > 0 ? 1 : 0;
+
+    const migrateStored = async (chat, save) => {
+        if (!Array.isArray(chat)) return;
+        const result = await migrateChatMarkers(chat);
+        stats.migrated += result.migrated;
+        stats.skipped += result.skipped;
+        if (result.migrated === 0) return;
+        await save(chat);
+        chatCount++;
     };
 
-    const html = `
-        <div class="inline-drawer">
-            <div class="inline-drawer-toggle inline-drawer-header">
-                <b>Генерация картинок</b>
-                <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
-            </div>
-            <div class="inline-drawer-content">
-                <div class="iig-settings">
-                    <label class="checkbox_label">
-                        <input type="checkbox" id="iig_enabled" ${settings.enabled ? 'checked' : ''}>
-                        <span>Включить генерацию картинок</span>
-                    </label>
+    for (const character of context.characters || []) {
+        try {
+            const list = await postJson('/api/characters/chats', { avatar_url: character.avatar });
+            const files = Array.isArray(list) ? list : Object.values(list || {});
+            for (const file of files) {
+                if (!file?.file_name) continue;
+                const fileName = String(file.file_name).replace(/\.jsonl$/, '');
+                if (fileName === currentChatId) continue;
+                const body = { ch_name: character.name, file_name: fileName, avatar_url: character.avatar };
+                const chat = await postJson('/api/chats/get', body);
+                await migrateStored(chat, data => postJson('/api/chats/save', { ...body, chat: data }));
+            }
+        } catch (error) {
+            iigLog('ERROR', `Marker migration failed for character "${character.name}":`, error.message);
+        }
+    }
 
-                    <hr>
+    for (const group of context.groups || []) {
+        for (const chatId of group.chats || []) {
+            if (chatId === currentChatId) continue;
+            try {
+                const chat = await postJson('/api/chats/group/get', { id: chatId });
+                await migrateStored(chat, data => postJson('/api/chats/group/save', { id: chatId, chat: data }));
+            } catch (error) {
+                iigLog('ERROR', `Marker migration failed for group chat "${chatId}":`, error.message);
+            }
+        }
+    }
 
-                    <h4>Настройки API</h4>
+    return { ...stats, chatCount };
+}
 
-                    <div class="flex-row">
-                        <label for="iig_api_type">Тип API</label>
-                        <select id="iig_api_type" class="flex1">
-                            <option value="openai" ${settings.apiType === 'openai' ? 'selected' : ''}>OpenAI-совместимый</option>
-                            <option value="gemini" ${settings.apiType === 'gemini' ? 'selected' : ''}>Gemini (nano-banana)</option>
-                            <option value="naistera" ${settings.apiType === 'naistera' ? 'selected' : ''}>Naistera/Grok</option>
-                        </select>
-                    </div>
+async function runMarkerMigration(allChats) {
+    if (processingMessages.size > 0) {
+        toastr.warning('Дождитесь окончания генерации', 'Генерация картинок');
+        return;
+    }
 
-                    <div class="flex-row">
-                        <label for="iig_endpoint">URL эндпоинта</label>
-                        <input type="text" id="iig_endpoint" class="text_pole flex1" value="${settings.endpoint}" placeholder="https://api.example.com">
-                    </div>
+    toastr.info('Перевод старых маркеров...', 'Генерация картинок', { timeOut: 2000 });
+    try {
+        const stats = allChats ? await migrateAllChatMarkers() : await migrateCurrentChatMarkers();
+        iigLog('INFO', `Migrated ${stats.migrated} legacy marker(s), skipped ${stats.skipped}`);
+        const skipped = stats.skipped > 0 ? `. Без сохранённого промпта, оставлены как есть: ${stats.skipped}` : '';
+        const chats = allChats ? ` в ${stats.chatCount} чат(ах)` : '';
+        toastr.success(`Переведено маркеров: ${stats.migrated}${chats}${skipped}`, 'Генерация картинок');
+    } catch (error) {
+        iigLog('ERROR', 'Marker migration failed:', error.message);
+        toastr.error(`Ошибка: ${error.message}`, 'Генерация картинок');
+    }
+}
 
-                    <div class="flex-row">
-                        <label for="iig_api_key">API ключ</label>
-                        <input type="password" id="iig_api_key" class="text_pole flex1" value="${settings.apiKey}">
-                        <div id="iig_key_toggle" class="menu_button iig-key-toggle" title="Показать/Скрыть">
-                            <i class="fa-solid fa-eye"></i>
-                        </div>
-                    </div>
-                    <p id="iig_naistera_hint" class="hint ${settings.apiType === 'naistera' ? '' : 'iig-hidden'}">Для Naistera/Grok: токен из Telegram бота.</p>
+function createGeneratedImage(tag, result, instruction) {
+    const img = document.createElement('img');
+    img.className = 'iig-generated-image';
+    img.src = result.thumbPath || result.imagePath;
+    if (result.thumbPath) img.dataset.iigFull = result.imagePath;
+    img.alt = tag.prompt;
+    img.title = `Style: ${tag.style}\nPrompt: ${tag.prompt}\n${formatProviderTitle(result)}`;
+    img.setAttribute('data-iig-instruction', JSON.stringify(instruction));
+    if (tag.id) img.dataset.iigId = tag.id;
+    return img;
+}
 
-                    <div class="flex-row ${settings.apiType === 'naistera' ? 'iig-hidden' : ''}" id="iig_model_row">
-                        <label for="iig_model">Модель</label>
-                        <select id="iig_model" class="flex1">
-                            ${settings.model ? `<option value="${settings.model}" selected>${settings.model}</option>` : '<option value="">-- Выберите --</option>'}
-                        </select>
-                        <div id="iig_refresh_models" class="menu_button iig-refresh-btn" title="Обновить">
-                            <i class="fa-solid fa-sync"></i>
-                        </div>
-                    </div>
+const pendingPlaceholders = new WeakMap();
 
-                    <hr>
+function createPendingPlaceholder(messageId, tag, targetElement = null) {
+    const placeholder = document.createElement('div');
+    placeholder.className = 'iig-pending-placeholder';
+    placeholder.classList.toggle('iig-legacy', !tag.isNewFormat);
+    if (tag.id && !targetElement) placeholder.dataset.iigId = tag.id;
+    placeholder.title = tag.prompt;
+    placeholder.innerHTML = `
+        <i class="fa-solid fa-image"></i>
+        <div class="iig-status">Картинка не сгенерирована</div>
+        <div class="menu_button iig-generate-btn"><i class="fa-solid fa-wand-magic-sparkles"></i> Сгенерировать</div>
+    `;
+    pendingPlaceholders.set(placeholder, { tag, targetElement });
+    placeholder.querySelector('.iig-generate-btn').addEventListener('click', async (e) => {
+        e.stopPropagation();
+        e.preventDefault();
+        if (targetElement) placeholder.remove();
+        await regenerateSingleImage(messageId, targetElement || placeholder, { tag });
+    });
+    return placeholder;
+}
 
-                    <h4>Параметры генерации</h4>
+async function findTagForElement(message, element) {
+    const mesTextEl = element.closest('.mes_text');
+    if (!mesTextEl) return null;
 
-                    <div class="flex-row ${settings.apiType !== 'openai' ? 'iig-hidden' : ''}" id="iig_size_row">
-                        <label for="iig_size">Размер</label>
-                        <select id="iig_size" class="flex1">
-                            <option value="1024x1024" ${settings.size === '1024x1024' ? 'selected' : ''}>1024x1024</option>
-                            <option value="1792x1024" ${settings.size === '1792x1024' ? 'selected' : ''}>1792x1024</option>
-                            <option value="1024x1792" ${settings.size === '1024x1792' ? 'selected' : ''}>1024x1792</option>
-                        </select>
-                    </div>
+    const tags = await ensureTagIds(message);
+    syncDomTagIds(mesTextEl, tags);
+    return tags.find(tag => tag.id === element.dataset.iigId) || null;
+}
 
-                    <div class="flex-row ${settings.apiType !== 'openai' ? 'iig-hidden' : ''}" id="iig_quality_row">
-                        <label for="iig_quality">Качество</label>
-                        <select id="iig_quality" class="flex1">
-                            <option value="standard" ${settings.quality === 'standard' ? 'selected' : ''}>Стандартное</option>
-                            <option value="hd" ${settings.quality === 'hd' ? 'selected' : ''}>HD</option>
-                        </select>
-                    </div>
+function applyInstructionEdits(tag, edits) {
+    const instruction = { ...tag.instruction };
+    for (const [key, value] of Object.entries(edits)) {
+        if (value === null || value === undefined || value === '') delete instruction[key];
+        else instruction[key] = value;
+    }
+    return {
+        ...tag,
+        style: instruction.style || '',
+        prompt: instruction.prompt || '',
+        aspectRatio: instruction.aspect_ratio || instruction.aspectRatio || null,
+        negativePrompt: instruction.negative_prompt || instruction.negativePrompt || null,
+        seed: parseSeed(instruction.seed),
+        instruction,
+    };
+}
 
-                    <div class="flex-row ${settings.apiType === 'naistera' ? '' : 'iig-hidden'}" id="iig_naistera_aspect_row">
-                        <label for="iig_naistera_aspect_ratio">Соотношение</label>
-                        <select id="iig_naistera_aspect_ratio" class="flex1">
-                            <option value="1:1" ${settings.naisteraAspectRatio === '1:1' ? 'selected' : ''}>1:1</option>
-                            <option value="3:2" ${settings.naisteraAspectRatio === '3:2' ? 'selected' : ''}>3:2</option>
-                            <option value="2:3" ${settings.naisteraAspectRatio === '2:3' ? 'selected' : ''}>2:3</option>
-                        </select>
-                    </div>
-                    <div class="flex-row ${settings.apiType === 'naistera' ? '' : 'iig-hidden'}" id="iig_naistera_preset_row">
-                        <label for="iig_naistera_preset">Пресет</label>
-                        <select id="iig_naistera_preset" class="flex1">
-                            <option value="" ${!settings.naisteraPreset ? 'selected' : ''}>без пресета</option>
-                            <option value="digital" ${settings.naisteraPreset === 'digital' ? 'selected' : ''}>digital</option>
-                            <option value="realism" ${settings.naisteraPreset === 'realism' ? 'selected' : ''}>realism</option>
-                        </select>
-                    </div>
+async function regenerateTag(messageId, message, tag, targetElement, tagId, options = {}) {
+    const { keepSeed = false } = options;
+    const controller = createGenerationController(messageId);
+    const loadingPlaceholder = createLoadingPlaceholder(tagId, controller);
+    if (tag.id) loadingPlaceholder.dataset.iigId = tag.id;
+    const inPlace = !isReplaceableTag(tag);
+    if (inPlace) showTargetLoading(targetElement, loadingPlaceholder);
+    else targetElement.replaceWith(loadingPlaceholder);
+    const live = trackLiveTag(messageId, tag, loadingPlaceholder, targetElement);
 
-                    <hr>
+    try {
+        const result = options.reuseImage
+            ? reuseGalleryImage(message, tag, options.reuseImage)
+            : await generateTagImage(message, tag, loadingPlaceholder, {
+                ...getTagGenerationOptions(tag, message),
+                seed: keepSeed ? tag.seed : null,
+                forceNew: Boolean(options.forceNew),
+                signal: controller.signal,
+            });
+        const resultInstruction = buildResultInstruction(tag, result);
+        const img = inPlace ? live.target : createGeneratedImage(tag, result, resultInstruction);
+        if (inPlace) {
+            loadingPlaceholder.remove();
+            applyTargetValue(live.target, tag, result.imagePath);
+            live.target.setAttribute('data-iig-instruction', JSON.stringify(resultInstruction));
+        } else {
+            loadingPlaceholder.replaceWith(img);
+        }
 
-                    <div id="iig_avatar_section" class="iig-avatar-section ${settings.apiType !== 'gemini' ? 'hidden' : ''}">
-                        <h4>Настройки Nano-Banana</h4>
+        if (tag.isNewFormat) {
+            const updatedTag = setTagInstruction(
+                setTagImage(tag, result.imagePath, result.thumbPath),
+                resultInstruction
+            );
+            message.mes = message.mes.replace(tag.fullMatch, updatedTag);
+            if (result.variants?.length > 1) showVariantPicker(messageId, img, result.variants);
+        } else {
+            img.removeAttribute('data-iig-instruction');
+            const completionMarker = `[IMG:✓:${result.imagePath}]`;
+            message.mes = message.mes.replace(tag.fullMatch, completionMarker);
+            recordLegacyMarker(message, completionMarker, resultInstruction);
+        }
+        return true;
+    } catch (error) {
+        if (inPlace) {
+            loadingPlaceholder.remove();
+            live.target.classList.remove('iig-target-loading');
+        } else if (loadingPlaceholder.isConnected) {
+            loadingPlaceholder.replaceWith(targetElement);
+        }
+        throw error;
+    } finally {
+        untrackLiveTag(messageId, live);
+        releaseGenerationController(messageId, controller);
+    }
+}
 
-                        <div class="flex-row">
-                            <label for="iig_aspect_ratio">Соотношение</label>
-                            <select id="iig_aspect_ratio" class="flex1">
-                                <option value="1:1" ${settings.aspectRatio === '1:1' ? 'selected' : ''}>1:1</option>
-                                <option value="2:3" ${settings.aspectRatio === '2:3' ? 'selected' : ''}>2:3</option>
-                                <option value="3:2" ${settings.aspectRatio === '3:2' ? 'selected' : ''}>3:2</option>
-                                <option value="9:16" ${settings.aspectRatio === '9:16' ? 'selected' : ''}>9:16</option>
-                                <option value="16:9" ${settings.aspectRatio === '16:9' ? 'selected' : ''}>16:9</option>
-                            </select>
-                        </div>
+async function regenerateMessageImages(messageId, options = {}) {
+    const context = SillyTavern.getContext();
+    const message = context.chat[messageId];
 
-                        <div class="flex-row">
-                            <label for="iig_image_size">Разрешение</label>
-                            <select id="iig_image_size" class="flex1">
-                                <option value="1K" ${settings.imageSize === '1K' ? 'selected' : ''}>1K</option>
-                                <option value="2K" ${settings.imageSize === '2K' ? 'selected' : ''}>2K</option>
-                                <option value="4K" ${settings.imageSize === '4K' ? 'selected' : ''}>4K</option>
-                            </select>
+    if (!message) {
+        toastr.error('Сообщение не найдено', 'Генерация картинок');
+        return;
+    }
+    if (processingMessages.has(messageId)) {
+        toastr.warning('Картинки этого сообщения уже генерируются', 'Генерация картинок');
+        return;
+    }
+
+    const tags = await ensureTagIds(message);
+
+    if (tags.length === 0) {
+        toastr.warning('Нет тегов для перегенерации', 'Генерация картинок');
+        return;
+    }
+
+    const messageElement = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
+    const mesTextEl = messageElement?.querySelector('.mes_text');
+    if (!mesTextEl) return;
+
+    iigLog('INFO', `Regenerating ${tags.length} images in message ${messageId}`);
+    toastr.info(`Перегенерация ${tags.length} картинок...`, 'Генерация картинок');
+
+    processingMessages.add(messageId);
+    const chatId = context.getCurrentChatId();
+    syncDomTagIds(mesTextEl, tags);
+
+    try {
+        for (let index = 0; index < tags.length; index++) {
+            const targetElement = findTagElement(mesTextEl, tags[index]);
+            if (!targetElement) continue;
+
+            try {
+                await regenerateTag(messageId, message, tags[index], targetElement, `iig-regen-${messageId}-${index}`, options);
+                toastr.success(`Картинка ${index + 1}/${tags.length} готова`, 'Генерация картинок', { timeOut: 2000 });
+            } catch (error) {
+                if (isAbortError(error)) {
+                    iigLog('INFO', `Regeneration cancelled in message ${messageId}`);
+                    toastr.info('Генерация отменена', 'Генерация картинок', { timeOut: 2000 });
+                    break;
+                }
+                iigLog('ERROR', `Regeneration failed for tag ${index}:`, error.message);
+                toastr.error(formatGenerationError(error), 'Генерация картинок');
+            }
+        }
+        if (!await saveChatIfCurrent(chatId, message)) return;
+        iigLog('INFO', `Regeneration complete for message ${messageId}`);
+    } finally {
+        finishProcessing(messageId);
+    }
+}
+
+async function regenerateSingleImage(messageId, element, options = {}) {
+    const context = SillyTavern.getContext();
+    const message = context.chat[messageId];
+    if (!message) return;
+
+    if (processingMessages.has(messageId)) {
+        toastr.warning('Картинки этого сообщения уже генерируются', 'Генерация картинок');
+        return;
+    }
+
+    let tag = options.tag || await findTagForElement(message, element);
+    if (!tag) {
+        toastr.error('Тег для этой картинки не найден', 'Генерация картинок');
+        return;
+    }
+    if (options.edits) tag = applyInstructionEdits(tag, options.edits);
+
+    processingMessages.add(messageId);
+    const chatId = context.getCurrentChatId();
+    try {
+        await regenerateTag(messageId, message, tag, element, `iig-single-${messageId}-${Date.now()}`, options);
+        if (!await saveChatIfCurrent(chatId, message)) return;
+        toastr.success(options.reuseImage ? 'Картинка из галереи вставлена' : 'Картинка готова', 'Генерация картинок', { timeOut: 2000 });
+    } catch (error) {
+        if (isAbortError(error)) {
+            iigLog('INFO', `Regeneration cancelled in message ${messageId}`);
+            return;
+        }
+        iigLog('ERROR', `Single image regeneration failed in message ${messageId}:`, error.message);
+        toastr.error(formatGenerationError(error), 'Генерация картинок');
+    } finally {
+        finishProcessing(messageId);
+    }
+}
+
+async function revertImageToMarker(messageId, element) {
+    const context = SillyTavern.getContext();
+    const message = context.chat[messageId];
+    if (!message) return;
+
+    const tag = await findTagForElement(message, element);
+    if (!tag) {
+        toastr.error('Тег для этой картинки не найден', 'Генерация картинок');
+        return;
+    }
+
+    const revertedTag = setTagTarget(tag, '[IMG:GEN]');
+    message.mes = message.mes.replace(tag.fullMatch, revertedTag);
+    element.replaceWith(createPendingPlaceholder(messageId, { ...tag, fullMatch: revertedTag }));
+    syncSwipeState(message);
+    await context.saveChat();
+    iigLog('INFO', `Reverted image to [IMG:GEN] marker in message ${messageId}`);
+}
+
+async function openImageEditDialog(messageId, element) {
+    const context = SillyTavern.getContext();
+    const message = context.chat[messageId];
+    if (!message) return;
+
+    const tag = await findTagForElement(message, element);
+    if (!tag) {
+        toastr.error('Тег для этой картинки не найден', 'Генерация картинок');
+        return;
+    }
+
+    const form = document.createElement('div');
+    form.className = 'iig-edit-dialog';
+    form.innerHTML = `
+        <h3>Изменить и перегенерировать</h3>
+        <label for="iig_edit_prompt">Промпт</label>
+        <textarea id="iig_edit_prompt" class="text_pole" rows="6"></textarea>
+        <label for="iig_edit_style">Стиль</label>
+        <input type="text" id="iig_edit_style" class="text_pole">
+        <label for="iig_edit_aspect_ratio">Соотношение</label>
+        <select id="iig_edit_aspect_ratio" class="text_pole">
+            <option value="">-- По умолчанию --</option>
+            ${VALID_ASPECT_RATIOS.map(ratio => `<option value="${ratio}">${ratio}</option>`).join('')}
+        </select>
+        <label for="iig_edit_negative">Негативный промпт</label>
+        <input type="text" id="iig_edit_negative" class="text_pole">
+        <label for="iig_edit_seed">Seed (пусто — случайный)</label>
+        <input type="number" id="iig_edit_seed" class="text_pole" min="0">
+        <p class="hint iig-edit-metadata"></p>
+    `;
+    form.querySelector('#iig_edit_prompt').value = tag.prompt;
+    form.querySelector('#iig_edit_style').value = tag.style;
+    form.querySelector('#iig_edit_aspect_ratio').value = VALID_ASPECT_RATIOS.includes(tag.aspectRatio) ? tag.aspectRatio : '';
+    form.querySelector('#iig_edit_negative').value = tag.negativePrompt || '';
+    form.querySelector('#iig_edit_seed').value = tag.seed ?? '';
+
+    const metadata = await readImageMetadata(getFullImagePath(element));
+    if (metadata) {
+        if (tag.seed === null && metadata.seed !== null && metadata.seed !== undefined) {
+            form.querySelector('#iig_edit_seed').value = metadata.seed;
+        }
+        form.querySelector('.iig-edit-metadata').textContent = formatMetadataTitle(metadata);
+    }
+
+    const confirmed = await context.callGenericPopup(form, context.POPUP_TYPE.CONFIRM, '', { okButton: 'Сгенерировать', cancelButton: 'Отмена', wide: true });
+    if (!confirmed) return;
+
+    const prompt = form.querySelector('#iig_edit_prompt').value.trim();
+    if (!prompt) {
+        toastr.warning('Промпт не может быть пустым', 'Генерация картинок');
+        return;
+    }
+    const seed = parseSeed(form.querySelector('#iig_edit_seed').value);
+
+    await regenerateSingleImage(messageId, element, {
+        tag,
+        keepSeed: seed !== null,
+        forceNew: true,
+        edits: {
+            prompt,
+            style: form.querySelector('#iig_edit_style').value.trim(),
+            aspect_ratio: form.querySelector('#iig_edit_aspect_ratio').value,
+            negative_prompt: form.querySelector('#iig_edit_negative').value.trim(),
+            seed,
+        },
+    });
+}
+
+function getImagePrompt(element) {
+    try {
+        return JSON.parse(element.getAttribute('data-iig-instruction')).prompt || '';
+    } catch (e) {
+        return element.getAttribute('alt') || '';
+    }
+}
+
+async function downloadImage(src) {
+    try {
+        const response = await fetch(src);
+        const blob = await response.blob();
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = src.split('/').pop() || 'image.png';
+        a.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        toastr.error(`Ошибка скачивания: ${error.message}`, 'Генерация картинок');
+    }
+}
+
+const TOOLBAR_TARGET_SELECTOR = '#chat .mes_text img[data-iig-instruction]';
+let toolbarTarget = null;
+let toolbarHideTimer = null;
+
+function getImageToolbar() {
+    let toolbar = document.getElementById('iig_image_toolbar');
+    if (toolbar) return toolbar;
+
+    toolbar = document.createElement('div');
+    toolbar.id = 'iig_image_toolbar';
+    toolbar.className = 'iig-image-toolbar';
+    toolbar.innerHTML = `
+        <div class="iig-toolbar-versions">
+            <div class="iig-toolbar-btn fa-solid fa-chevron-left" data-action="prev" title="Предыдущая версия"></div>
+            <span class="iig-toolbar-counter"></span>
+            <div class="iig-toolbar-btn fa-solid fa-chevron-right" data-action="next" title="Следующая версия"></div>
+        </div>
+        <div class="iig-toolbar-btn fa-solid fa-rotate" data-action="regenerate" title="Перегенерировать (Shift — с тем же seed)"></div>
+        <div class="iig-toolbar-btn fa-solid fa-pen" data-action="edit" title="Изменить промпт и перегенерировать"></div>
+        <div class="iig-toolbar-btn fa-solid fa-copy" data-action="copy" title="Копировать промпт"></div>
+        <div class="iig-toolbar-btn fa-solid fa-up-right-from-square" data-action="open" title="Открыть в полном размере"></div>
+        <div class="iig-toolbar-btn fa-solid fa-download" data-action="download" title="Скачать"></div>
+        <div class="iig-toolbar-btn fa-solid fa-rotate-left" data-action="revert" title="Вернуть маркер [IMG:GEN]"></div>
+    `;
+    toolbar.addEventListener('mouseenter', () => clearTimeout(toolbarHideTimer));
+    toolbar.addEventListener('mouseleave', () => scheduleToolbarHide());
+    toolbar.addEventListener('click', async (e) => {
+        const button = e.target.closest('.iig-toolbar-btn');
+        if (!button || !toolbarTarget) return;
+        e.stopPropagation();
+        e.preventDefault();
+
+        const target = toolbarTarget;
+        const messageId = parseInt(target.closest('.mes')?.getAttribute('mesid'), 10);
+        const action = button.dataset.action;
+        if (button.classList.contains('disabled')) return;
+        if (action !== 'prev' && action !== 'next') hideImageToolbar();
+        if (Number.isNaN(messageId)) return;
+
+        await handleToolbarAction(action, messageId, target, e);
+    });
+    document.body.appendChild(toolbar);
+    return toolbar;
+}
+
+async function handleToolbarAction(action, messageId, target, event) {
+    const src = getFullImagePath(target);
+    const hasImage = src.startsWith('/') && !src.includes('error.svg');
+
+    switch (action) {
+        case 'prev':
+        case 'next': {
+            const img = await selectTagVersion(messageId, target, action === 'prev' ? -1 : 1);
+            if (img) showImageToolbar(img);
+            break;
+        }
+        case 'regenerate':
+            await regenerateSingleImage(messageId, target, { keepSeed: event.shiftKey, forceNew: true });
+            break;
+        case 'edit':
+            await openImageEditDialog(messageId, target);
+            break;
+        case 'copy':
+            if (!navigator.clipboard?.writeText) {
+                toastr.warning('Буфер обмена недоступен в этом браузере', 'Генерация картинок');
+                break;
+            }
+            try {
+                await navigator.clipboard.writeText(getImagePrompt(target));
+                toastr.success('Промпт скопирован', 'Генерация картинок', { timeOut: 1500 });
+            } catch (error) {
+                iigLog('WARN', 'Failed to copy prompt:', error.message);
+                toastr.error('Не удалось скопировать промпт', 'Генерация картинок');
+            }
+            break;
+        case 'open':
+            if (hasImage) window.open(src, '_blank');
+            break;
+        case 'download':
+            if (hasImage) await downloadImage(src);
+            break;
+        case 'revert':
+            await revertImageToMarker(messageId, target);
+            break;
+    }
+}
+
+function showImageToolbar(target) {
+    const toolbar = getImageToolbar();
+    clearTimeout(toolbarHideTimer);
+    toolbarTarget = target;
+    applyMetadataTitle(target);
+
+    const src = getFullImagePath(target);
+    const hasImage = src.startsWith('/') && !src.includes('error.svg');
+    toolbar.querySelectorAll('[data-action="open"], [data-action="download"]').forEach(btn => {
+        btn.classList.toggle('iig-hidden', !hasImage);
+    });
+
+    const messageId = parseInt(target.closest('.mes')?.getAttribute('mesid'), 10);
+    const message = SillyTavern.getContext().chat[messageId];
+    const record = findTagRecord(message, { id: target.dataset.iigId, prompt: getImagePrompt(target) });
+    const versions = toolbar.querySelector('.iig-toolbar-versions');
+    versions.classList.toggle('iig-hidden', !record || record.versions.length < 2);
+    if (record) {
+        toolbar.querySelector('.iig-toolbar-counter').textContent = `${record.current + 1}/${record.versions.length}`;
+        toolbar.querySelector('[data-action="prev"]').classList.toggle('disabled', record.current <= 0);
+        toolbar.querySelector('[data-action="next"]').classList.toggle('disabled', record.current >= record.versions.length - 1);
+    }
+
+    const rect = target.getBoundingClientRect();
+    toolbar.style.top = `${Math.max(0, rect.top + 6)}px`;
+    toolbar.style.left = `${rect.right - 6}px`;
+    toolbar.classList.add('visible');
+}
+
+function hideImageToolbar() {
+    clearTimeout(toolbarHideTimer);
+    document.getElementById('iig_image_toolbar')?.classList.remove('visible');
+    toolbarTarget = null;
+}
+
+function scheduleToolbarHide() {
+    clearTimeout(toolbarHideTimer);
+    toolbarHideTimer = setTimeout(hideImageToolbar, 300);
+}
+
+function initImageToolbar() {
+    document.addEventListener('mouseover', (e) => {
+        const target = e.target.closest?.(TOOLBAR_TARGET_SELECTOR);
+        if (target) showImageToolbar(target);
+    });
+    document.addEventListener('mouseout', (e) => {
+        if (e.target.closest?.(TOOLBAR_TARGET_SELECTOR)) scheduleToolbarHide();
+    });
+    document.addEventListener('click', (e) => {
+        const target = e.target.closest?.(TOOLBAR_TARGET_SELECTOR);
+        if (target) showImageToolbar(target);
+        else if (!e.target.closest?.('#iig_image_toolbar')) hideImageToolbar();
+    });
+    document.getElementById('chat')?.addEventListener('scroll', hideImageToolbar, { passive: true });
+    document.addEventListener('click', (e) => {
+        const thumbnail = e.target.closest?.('#chat .mes_text img[data-iig-full]');
+        if (thumbnail) openFullImage(thumbnail.dataset.iigFull);
+    });
+}
+
+async function openFullImage(path) {
+    const context = SillyTavern.getContext();
+    const img = document.createElement('img');
+    img.className = 'iig-full-image';
+    img.src = path;
+    await context.callGenericPopup(img, context.POPUP_TYPE.TEXT, '', { wide: true, large: true, okButton: 'Закрыть' });
+}
+
+const GALLERY_DRAG_TYPE = 'application/x-iig-image';
+const GALLERY_METADATA_BATCH = 6;
+let galleryImages = [];
+let galleryLoadId = 0;
+let galleryDropTarget = null;
+
+function parseImageFileDate(file) {
+    const match = file.match(/^iig_(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/);
+    return match ? new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`) : null;
+}
+
+async function listImageFolder(folder) {
+    const context = SillyTavern.getContext();
+    let response = await fetch('/api/images/list', {
+        method: 'POST',
+        headers: context.getRequestHeaders(),
+        body: JSON.stringify({ folder }),
+    });
+    if (response.status === 404) {
+        response = await fetch(`/api/images/list/${encodeURIComponent(folder)}`, {
+            method: 'POST',
+            headers: context.getRequestHeaders(),
+        });
+    }
+    if (!response.ok) return [];
+    const files = await response.json();
+    return Array.isArray(files) ? files.map(file => typeof file === 'string' ? file : file?.name).filter(Boolean) : [];
+}
+
+async function listGalleryImages(allCharacters) {
+    const context = SillyTavern.getContext();
+    let folders = [getImageFolderName()];
+    if (allCharacters) {
+        const listed = await postJson('/api/images/folders', {}).catch(() => null);
+        folders = Array.isArray(listed) ? listed : [...new Set([...(context.characters || []).map(character => character.name), 'generated'])];
+    }
+
+    const images = [];
+    for (const folder of folders) {
+        const files = (await listImageFolder(folder)).filter(file => file.startsWith('iig_'));
+        const thumbnails = new Map();
+        for (const file of files) {
+            const match = file.match(/^(.+)_thumb\.\w+$/);
+            if (match) thumbnails.set(match[1], `/user/images/${folder}/${file}`);
+        }
+        for (const file of files) {
+            if (/_thumb\.\w+$/.test(file)) continue;
+            images.push({
+                folder,
+                file,
+                path: `/user/images/${folder}/${file}`,
+                thumbPath: thumbnails.get(file.replace(/\.\w+$/, '')) || null,
+                date: parseImageFileDate(file),
+                metadata: null,
+            });
+        }
+    }
+    return images.sort((a, b) => (b.date?.getTime() || 0) - (a.date?.getTime() || 0));
+}
+
+function getGalleryImageDate(image) {
+    return image.metadata?.createdAt ? new Date(image.metadata.createdAt) : image.date;
+}
+
+function filterGalleryImages() {
+    const panel = getGalleryPanel();
+    const query = panel.querySelector('#iig_gallery_search').value.trim().toLowerCase();
+    const model = panel.querySelector('#iig_gallery_model').value;
+    const from = panel.querySelector('#iig_gallery_from').valueAsDate;
+    const to = panel.querySelector('#iig_gallery_to').valueAsDate;
+
+    return galleryImages.filter(image => {
+        const metadata = image.metadata;
+        if (query && ![metadata?.prompt, metadata?.style, image.file].some(text => text?.toLowerCase().includes(query))) return false;
+        if (model && metadata?.model !== model) return false;
+        const date = getGalleryImageDate(image);
+        if (from && (!date || date < from)) return false;
+        if (to && (!date || date.getTime() >= to.getTime() + 86400000)) return false;
+        return true;
+    });
+}
+
+function updateGalleryModels() {
+    const select = getGalleryPanel().querySelector('#iig_gallery_model');
+    const current = select.value;
+    const models = [...new Set(galleryImages.map(image => image.metadata?.model).filter(Boolean))].sort();
+    select.innerHTML = '<option value="">Все модели</option>';
+    for (const model of models) {
+        const option = document.createElement('option');
+        option.value = model;
+        option.textContent = model;
+        select.appendChild(option);
+    }
+    select.value = models.includes(current) ? current : '';
+}
+
+function createGalleryItem(image) {
+    const item = document.createElement('div');
+    item.className = 'iig-gallery-item';
+    item.draggable = true;
+    item.title = image.metadata ? formatMetadataTitle(image.metadata) : image.file;
+    item.innerHTML = `
+        <img loading="lazy" alt="">
+        <div class="iig-gallery-actions">
+            <div class="iig-toolbar-btn fa-solid fa-plus" data-action="insert" title="Вставить в последнее сообщение"></div>
+            <div class="iig-toolbar-btn fa-solid fa-up-right-from-square" data-action="open" title="Открыть в полном размере"></div>
+        </div>
+    `;
+    item.querySelector('img').src = image.thumbPath || image.path;
+    item.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData(GALLERY_DRAG_TYPE, image.path);
+        e.dataTransfer.setData('text/plain', image.path);
+        e.dataTransfer.effectAllowed = 'copy';
+    });
+    item.querySelector('[data-action="insert"]').addEventListener('click', () => insertGalleryImage(image));
+    item.querySelector('[data-action="open"]').addEventListener('click', () => window.open(image.path, '_blank'));
+    return item;
+}
+
+function renderGallery() {
+    const panel = getGalleryPanel();
+    const grid = panel.querySelector('.iig-gallery-grid');
+    const images = filterGalleryImages();
+    grid.innerHTML = '';
+    for (const image of images) grid.appendChild(createGalleryItem(image));
+    panel.querySelector('.iig-gallery-status').textContent = `Картинок: ${images.length} из ${galleryImages.length}`;
+}
+
+async function refreshGallery() {
+    const panel = getGalleryPanel();
+    const status = panel.querySelector('.iig-gallery-status');
+    const loadId = ++galleryLoadId;
+    status.textContent = 'Загрузка списка...';
+
+    try {
+        const images = await listGalleryImages(panel.querySelector('#iig_gallery_all').checked);
+        if (loadId !== galleryLoadId) return;
+        galleryImages = images;
+        renderGallery();
+
+        for (let i = 0; i < images.length; i += GALLERY_METADATA_BATCH) {
+            await Promise.all(images.slice(i, i + GALLERY_METADATA_BATCH).map(async (image) => {
+                image.metadata = await readImageMetadata(image.path);
+            }));
+            if (loadId !== galleryLoadId) return;
+            status.textContent = `Чтение параметров: ${Math.min(i + GALLERY_METADATA_BATCH, images.length)}/${images.length}...`;
+        }
+        updateGalleryModels();
+        renderGallery();
+    } catch (error) {
+        iigLog('ERROR', 'Failed to load gallery:', error.message);
+        status.textContent = `Ошибка: ${error.message}`;
+    }
+}
+
+function getGalleryPanel() {
+    let panel = document.getElementById('iig_gallery_panel');
+    if (panel) return panel;
+
+    panel = document.createElement('div');
+    panel.id = 'iig_gallery_panel';
+    panel.className = 'iig-gallery-panel';
+    panel.innerHTML = `
+        <div class="iig-gallery-header">
+            <b class="flex1">Галерея картинок</b>
+            <div class="iig-toolbar-btn fa-solid fa-rotate" data-action="refresh" title="Обновить"></div>
+            <div class="iig-toolbar-btn fa-solid fa-xmark" data-action="close" title="Закрыть"></div>
+        </div>
+        <input type="search" id="iig_gallery_search" class="text_pole" placeholder="Поиск по промпту">
+        <div class="flex-row">
+            <select id="iig_gallery_model" class="text_pole flex1">
+                <option value="">Все модели</option>
+            </select>
+            <label class="checkbox_label">
+                <input type="checkbox" id="iig_gallery_all">
+                <span>Все персонажи</span>
+            </label>
+        </div>
+        <div class="flex-row">
+            <input type="date" id="iig_gallery_from" class="text_pole flex1" title="С даты">
+            <input type="date" id="iig_gallery_to" class="text_pole flex1" title="По дату">
+        </div>
+        <div class="iig-gallery-status hint"></div>
+        <div class="iig-gallery-grid"></div>
+        <p class="hint">Перетащите картинку на тег в чате, чтобы использовать её вместо генерации, или на текст сообщения, чтобы добавить её туда.</p>
+    `;
+    panel.querySelector('[data-action="refresh"]').addEventListener('click', () => refreshGallery());
+    panel.querySelector('[data-action="close"]').addEventListener('click', () => panel.classList.remove('visible'));
+    panel.querySelector('#iig_gallery_all').addEventListener('change', () => refreshGallery());
+    for (const id of ['iig_gallery_search', 'iig_gallery_model', 'iig_gallery_from', 'iig_gallery_to']) {
+        panel.querySelector(`#${id}`).addEventListener('input', () => renderGallery());
+    }
+    document.body.appendChild(panel);
+    return panel;
+}
+
+function openGallery() {
+    getGalleryPanel().classList.add('visible');
+    refreshGallery();
+}
+
+function refreshGalleryIfOpen() {
+    if (document.getElementById('iig_gallery_panel')?.classList.contains('visible')) refreshGallery();
+}
+
+function reuseGalleryImage(message, tag, image) {
+    const result = {
+        imagePath: image.path,
+        thumbPath: image.thumbPath || null,
+        seed: image.metadata?.seed ?? null,
+        profileName: image.metadata?.provider || 'Галерея',
+        model: image.metadata?.model || '',
+    };
+    recordTagVersions(message, tag, [result], 0);
+    return result;
+}
+
+async function insertGalleryImage(image, messageId = SillyTavern.getContext().chat.length - 1) {
+    const context = SillyTavern.getContext();
+    const message = context.chat[messageId];
+    if (!message) {
+        toastr.error('Сообщение не найдено', 'Генерация картинок');
+        return;
+    }
+    if (processingMessages.has(messageId)) {
+        toastr.warning('Картинки этого сообщения уже генерируются', 'Генерация картинок');
+        return;
+    }
+
+    const instruction = image.metadata?.instruction || { prompt: image.metadata?.prompt || 'Картинка из галереи' };
+    const tag = { id: createTagId(), prompt: instruction.prompt, instruction };
+    reuseGalleryImage(message, tag, image);
+    const fullAttribute = image.thumbPath ? ` data-iig-full="${image.path}"` : '';
+    message.mes = `${message.mes.trimEnd()}\n<img data-iig-id="${tag.id}"${fullAttribute} data-iig-instruction='${serializeInstruction(instruction)}' src="${image.thumbPath || image.path}">`;
+    syncSwipeState(message);
+    await context.saveChat();
+    context.updateMessageBlock(messageId, message);
+    iigLog('INFO', `Inserted gallery image ${image.path} into message ${messageId}`);
+    toastr.success('Картинка из галереи вставлена', 'Генерация картинок', { timeOut: 2000 });
+}
+
+function setGalleryDropTarget(element) {
+    if (galleryDropTarget === element) return;
+    galleryDropTarget?.classList.remove('iig-drop-target');
+    galleryDropTarget = element;
+    galleryDropTarget?.classList.add('iig-drop-target');
+}
+
+function findGalleryDropTarget(target) {
+    const mesTextEl = target.closest?.('#chat .mes_text');
+    if (!mesTextEl) return null;
+    const tagElement = target.closest('.iig-pending-placeholder, [data-iig-instruction]');
+    return tagElement && mesTextEl.contains(tagElement) ? tagElement : mesTextEl;
+}
+
+async function dropGalleryImage(path, dropTarget) {
+    const messageId = parseInt(dropTarget.closest('.mes')?.getAttribute('mesid'), 10);
+    if (Number.isNaN(messageId)) return;
+    const image = galleryImages.find(item => item.path === path) || { path, metadata: await readImageMetadata(path) };
+
+    if (dropTarget.classList.contains('mes_text')) {
+        await insertGalleryImage(image, messageId);
+        return;
+    }
+    const pending = pendingPlaceholders.get(dropTarget);
+    if (pending?.targetElement) dropTarget.remove();
+    await regenerateSingleImage(messageId, pending?.targetElement || dropTarget, { tag: pending?.tag, reuseImage: image });
+}
+
+function initGalleryDrop() {
+    const chat = document.getElementById('chat');
+    if (!chat) return;
+
+    chat.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes(GALLERY_DRAG_TYPE)) return;
+        const dropTarget = findGalleryDropTarget(e.target);
+        setGalleryDropTarget(dropTarget);
+        if (!dropTarget) return;
+        e.preventDefault();
+        e.stopPropagation();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+    chat.addEventListener('dragleave', (e) => {
+        if (!chat.contains(e.relatedTarget)) setGalleryDropTarget(null);
+    });
+    chat.addEventListener('drop', (e) => {
+        const path = e.dataTransfer.getData(GALLERY_DRAG_TYPE);
+        const dropTarget = findGalleryDropTarget(e.target);
+        setGalleryDropTarget(null);
+        if (!path || !dropTarget) return;
+        e.preventDefault();
+        e.stopPropagation();
+        dropGalleryImage(path, dropTarget);
+    });
+}
+
+function addGalleryMenuButton() {
+    const menu = document.getElementById('extensionsMenu');
+    if (!menu || document.getElementById('iig_gallery_menu_button')) return;
+
+    const button = document.createElement('div');
+    button.id = 'iig_gallery_menu_button';
+    button.className = 'list-group-item flex-container flexGap5 interactable';
+    button.tabIndex = 0;
+    button.innerHTML = '<div class="fa-solid fa-images extensionsMenuExtensionButton"></div>Галерея картинок';
+    button.addEventListener('click', () => openGallery());
+    menu.appendChild(button);
+}
+
+function addRegenerateButton(messageElement, messageId) {
+    if (messageElement.querySelector('.iig-regenerate-btn')) return;
+
+    const extraMesButtons = messageElement.querySelector('.extraMesButtons');
+    if (!extraMesButtons) return;
+
+    const btn = document.createElement('div');
+    btn.className = 'mes_button iig-regenerate-btn fa-solid fa-images interactable';
+    btn.title = 'Перегенерировать картинки (Shift — с тем же seed)';
+    btn.tabIndex = 0;
+    btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await regenerateMessageImages(messageId, { keepSeed: e.shiftKey, forceNew: true });
+    });
+
+    extraMesButtons.appendChild(btn);
+}
+
+function addButtonsToExistingMessages() {
+    const context = SillyTavern.getContext();
+    if (!context.chat || context.chat.length === 0) return;
+
+    const messageElements = document.querySelectorAll('#chat .mes');
+    let addedCount = 0;
+
+    for (const messageElement of messageElements) {
+        const mesId = messageElement.getAttribute('mesid');
+        if (mesId === null) continue;
+
+        const messageId = parseInt(mesId, 10);
+        const message = context.chat[messageId];
+        renderLegacyMarkers(messageId);
+
+        if (shouldProcessMessage(message)) {
+            addRegenerateButton(messageElement, messageId);
+            addedCount++;
+        }
+    }
+
+    iigLog('INFO', `Added regenerate buttons to ${addedCount} existing messages`);
+}
+
+async function onMessageReceived(messageId) {
+    iigLog('INFO', `onMessageReceived: ${messageId}`);
+
+    const settings = getSettings();
+    if (!settings.enabled) return;
+
+    renderLegacyMarkers(messageId);
+    const message = SillyTavern.getContext().chat[messageId];
+    if (!shouldProcessMessage(message)) return;
+
+    const messageElement = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
+    if (!messageElement) return;
+
+    addRegenerateButton(messageElement, messageId);
+    await processMessageTags(messageId);
+}
+
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = reject;
+        reader.readAsDataURL(file);
+    });
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function buildProfileFieldsHtml(profile) {
+    return `
+                    <h4>Настройки API</h4>
+
+                    <div class="flex-row">
+                        <label for="iig_api_type">Тип API</label>
+                        <select id="iig_api_type" class="flex1">
+                            <option value="openai" ${profile.apiType === 'openai' ? 'selected' : ''}>OpenAI-совместимый</option>
+                            <option value="gemini" ${profile.apiType === 'gemini' ? 'selected' : ''}>Gemini (nano-banana)</option>
+                            <option value="naistera" ${profile.apiType === 'naistera' ? 'selected' : ''}>Naistera/Grok</option>
+                            <option value="sdwebui" ${profile.apiType === 'sdwebui' ? 'selected' : ''}>Stable Diffusion WebUI (A1111/Forge)</option>
+                            <option value="comfyui" ${profile.apiType === 'comfyui' ? 'selected' : ''}>ComfyUI (workflow)</option>
+                        </select>
+                    </div>
+
+                    <div class="flex-row">
+                        <label for="iig_endpoint">URL эндпоинта</label>
+                        <input type="text" id="iig_endpoint" class="text_pole flex1" value="${escapeHtml(profile.endpoint)}" placeholder="https://api.example.com">
+                    </div>
+
+                    <div class="flex-row">
+                        <label for="iig_api_key">API ключ</label>
+                        <input type="password" id="iig_api_key" class="text_pole flex1" value="${escapeHtml(profile.apiKey)}">
+                        <div id="iig_key_toggle" class="menu_button iig-key-toggle" title="Показать/Скрыть">
+                            <i class="fa-solid fa-eye"></i>
+                        </div>
+                    </div>
+                    <p id="iig_naistera_hint" class="hint ${profile.apiType === 'naistera' ? '' : 'iig-hidden'}">Для Naistera/Grok: токен из Telegram бота.</p>
+                    <p id="iig_sdwebui_hint" class="hint ${profile.apiType === 'sdwebui' ? '' : 'iig-hidden'}">Для SD WebUI: адрес сервера с флагом --api (например http://127.0.0.1:7860). Ключ не обязателен; для --api-auth укажите login:password. В списке моделей — чекпоинты сервера.</p>
+                    <p id="iig_comfyui_hint" class="hint ${profile.apiType === 'comfyui' ? '' : 'iig-hidden'}">Для ComfyUI: адрес сервера (например http://127.0.0.1:8188). Модель и пайплайн задаются в workflow ниже.</p>
+
+                    <div class="flex-row ${['naistera', 'comfyui'].includes(profile.apiType) ? 'iig-hidden' : ''}" id="iig_model_row">
+                        <label for="iig_model">Модель</label>
+                        <select id="iig_model" class="flex1">
+                            ${profile.model ? `<option value="${escapeHtml(profile.model)}" selected>${escapeHtml(profile.model)}</option>` : `<option value="">${profile.apiType === 'sdwebui' ? '-- Текущий на сервере --' : '-- Выберите --'}</option>`}
+                        </select>
+                        <div id="iig_refresh_models" class="menu_button iig-refresh-btn" title="Обновить">
+                            <i class="fa-solid fa-sync"></i>
+                        </div>
+                    </div>
+
+                    <hr>
+
+                    <h4>Параметры генерации</h4>
+
+                    <div class="flex-row ${profile.apiType !== 'openai' ? 'iig-hidden' : ''}" id="iig_size_row">
+                        <label for="iig_size">Размер</label>
+                        <select id="iig_size" class="flex1">
+                            <option value="1024x1024" ${profile.size === '1024x1024' ? 'selected' : ''}>1024x1024</option>
+                            <option value="1792x1024" ${profile.size === '1792x1024' ? 'selected' : ''}>1792x1024</option>
+                            <option value="1024x1792" ${profile.size === '1024x1792' ? 'selected' : ''}>1024x1792</option>
+                        </select>
+                    </div>
+
+                    <div class="flex-row ${profile.apiType !== 'openai' ? 'iig-hidden' : ''}" id="iig_quality_row">
+                        <label for="iig_quality">Качество</label>
+                        <select id="iig_quality" class="flex1">
+                            <option value="standard" ${profile.quality === 'standard' ? 'selected' : ''}>Стандартное</option>
+                            <option value="hd" ${profile.quality === 'hd' ? 'selected' : ''}>HD</option>
+                        </select>
+                    </div>
+
+                    <div id="iig_async_block" class="iig-sd-section ${profile.apiType !== 'openai' ? 'iig-hidden' : ''}">
+                        <label class="checkbox_label">
+                            <input type="checkbox" id="iig_async_mode" ${profile.asyncMode ? 'checked' : ''}>
+                            <span>Асинхронный режим (провайдер возвращает id задачи)</span>
+                        </label>
+
+                        <div id="iig_async_section" class="iig-sd-section ${!profile.asyncMode ? 'iig-hidden' : ''}">
+                            <div class="flex-row">
+                                <label for="iig_async_task_id_path">Путь к id задачи</label>
+                                <input type="text" id="iig_async_task_id_path" class="text_pole flex1" value="${escapeHtml(profile.asyncTaskIdPath)}" placeholder="task_id">
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_async_status_url">URL статуса</label>
+                                <input type="text" id="iig_async_status_url" class="text_pole flex1" value="${escapeHtml(profile.asyncStatusUrl)}" placeholder="/v1/tasks/{{id}}">
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_async_status_path">Путь к статусу</label>
+                                <input type="text" id="iig_async_status_path" class="text_pole flex1" value="${escapeHtml(profile.asyncStatusPath)}" placeholder="status">
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_async_success_values">Успех</label>
+                                <input type="text" id="iig_async_success_values" class="text_pole flex1" value="${escapeHtml(profile.asyncSuccessValues)}">
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_async_failure_values">Ошибка</label>
+                                <input type="text" id="iig_async_failure_values" class="text_pole flex1" value="${escapeHtml(profile.asyncFailureValues)}">
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_async_result_path">Путь к картинке</label>
+                                <input type="text" id="iig_async_result_path" class="text_pole flex1" value="${escapeHtml(profile.asyncResultPath)}" placeholder="data[0].url">
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_async_progress_path">Путь к прогрессу</label>
+                                <input type="text" id="iig_async_progress_path" class="text_pole flex1" value="${escapeHtml(profile.asyncProgressPath)}" placeholder="progress">
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_async_queue_path">Путь к очереди</label>
+                                <input type="text" id="iig_async_queue_path" class="text_pole flex1" value="${escapeHtml(profile.asyncQueuePath)}" placeholder="queue_position">
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_async_error_path">Путь к ошибке</label>
+                                <input type="text" id="iig_async_error_path" class="text_pole flex1" value="${escapeHtml(profile.asyncErrorPath)}" placeholder="error">
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_async_poll_interval">Интервал (мс)</label>
+                                <input type="number" id="iig_async_poll_interval" class="text_pole flex1" value="${escapeHtml(profile.asyncPollInterval)}" min="500" max="30000" step="500">
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_async_max_wait">Макс. ожидание (с)</label>
+                                <input type="number" id="iig_async_max_wait" class="text_pole flex1" value="${escapeHtml(profile.asyncMaxWait / 1000)}" min="10" max="3600">
+                            </div>
+                            <p class="hint">Пути в формате a.b[0].c. Картинка может быть URL или base64. Интервал опроса растёт до 15с.</p>
+                        </div>
+                    </div>
+
+                    <div class="flex-row ${profile.apiType === 'naistera' ? '' : 'iig-hidden'}" id="iig_naistera_aspect_row">
+                        <label for="iig_naistera_aspect_ratio">Соотношение</label>
+                        <select id="iig_naistera_aspect_ratio" class="flex1">
+                            <option value="1:1" ${profile.naisteraAspectRatio === '1:1' ? 'selected' : ''}>1:1</option>
+                            <option value="3:2" ${profile.naisteraAspectRatio === '3:2' ? 'selected' : ''}>3:2</option>
+                            <option value="2:3" ${profile.naisteraAspectRatio === '2:3' ? 'selected' : ''}>2:3</option>
+                        </select>
+                    </div>
+                    <div class="flex-row ${profile.apiType === 'naistera' ? '' : 'iig-hidden'}" id="iig_naistera_preset_row">
+                        <label for="iig_naistera_preset">Пресет</label>
+                        <select id="iig_naistera_preset" class="flex1">
+                            <option value="" ${!profile.naisteraPreset ? 'selected' : ''}>без пресета</option>
+                            <option value="digital" ${profile.naisteraPreset === 'digital' ? 'selected' : ''}>digital</option>
+                            <option value="realism" ${profile.naisteraPreset === 'realism' ? 'selected' : ''}>realism</option>
+                        </select>
+                    </div>
+
+                    <div id="iig_sd_section" class="iig-sd-section ${profile.apiType !== 'sdwebui' ? 'iig-hidden' : ''}">
+                        <div class="flex-row">
+                            <label for="iig_sd_sampler">Сэмплер</label>
+                            <select id="iig_sd_sampler" class="flex1">
+                                <option value="" ${!profile.sdSampler ? 'selected' : ''}>-- По умолчанию --</option>
+                                ${profile.sdSampler ? `<option value="${escapeHtml(profile.sdSampler)}" selected>${escapeHtml(profile.sdSampler)}</option>` : ''}
+                            </select>
+                            <div id="iig_refresh_samplers" class="menu_button iig-refresh-btn" title="Обновить">
+                                <i class="fa-solid fa-sync"></i>
+                            </div>
+                        </div>
+
+                        <div class="flex-row">
+                            <label for="iig_sd_steps">Шаги</label>
+                            <input type="number" id="iig_sd_steps" class="text_pole flex1" value="${escapeHtml(profile.sdSteps)}" min="1" max="150">
+                        </div>
+
+                        <div class="flex-row">
+                            <label for="iig_sd_cfg_scale">CFG</label>
+                            <input type="number" id="iig_sd_cfg_scale" class="text_pole flex1" value="${escapeHtml(profile.sdCfgScale)}" min="1" max="30" step="0.5">
+                        </div>
+
+                        <div class="flex-row">
+                            <label for="iig_sd_denoising">Denoising (img2img)</label>
+                            <input type="number" id="iig_sd_denoising" class="text_pole flex1" value="${escapeHtml(profile.sdDenoisingStrength)}" min="0" max="1" step="0.05">
+                        </div>
+                        <p class="hint">С референсами используется img2img.</p>
+                    </div>
+
+                    <div id="iig_comfy_section" class="iig-sd-section ${profile.apiType !== 'comfyui' ? 'iig-hidden' : ''}">
+                        <label for="iig_comfy_workflow">Workflow (API Format)</label>
+                        <textarea id="iig_comfy_workflow" class="text_pole iig-comfy-workflow" rows="6" placeholder='{"3": {"class_type": "KSampler", "inputs": {"seed": "{{seed}}", ...}}}'>${escapeHtml(profile.comfyWorkflow)}</textarea>
+                        <div class="flex-row">
+                            <input type="file" id="iig_comfy_workflow_file" accept=".json,application/json" style="display: none;">
+                            <div id="iig_comfy_workflow_upload" class="menu_button" style="width: 100%;">
+                                <i class="fa-solid fa-upload"></i> Загрузить workflow
+                            </div>
+                        </div>
+                        <p id="iig_comfy_placeholders" class="hint">${buildComfyPlaceholdersHint(profile.comfyWorkflow)}</p>
+                        <label class="checkbox_label">
+                            <input type="checkbox" id="iig_comfy_use_websocket" ${profile.comfyUseWebsocket ? 'checked' : ''}>
+                            <span>Прогресс через websocket (иначе опрос /history)</span>
+                        </label>
+                    </div>
+
+                    <div id="iig_local_section" class="iig-sd-section ${!['sdwebui', 'comfyui'].includes(profile.apiType) ? 'iig-hidden' : ''}">
+                        <div class="flex-row">
+                            <label for="iig_sd_width">Ширина</label>
+                            <input type="number" id="iig_sd_width" class="text_pole flex1" value="${escapeHtml(profile.sdWidth)}" min="64" max="4096" step="64">
+                        </div>
+
+                        <div class="flex-row">
+                            <label for="iig_sd_height">Высота</label>
+                            <input type="number" id="iig_sd_height" class="text_pole flex1" value="${escapeHtml(profile.sdHeight)}" min="64" max="4096" step="64">
+                        </div>
+
+                        <div class="flex-row">
+                            <label for="iig_sd_negative">Негативный промпт</label>
+                            <textarea id="iig_sd_negative" class="text_pole flex1" rows="2">${escapeHtml(profile.sdNegativePrompt)}</textarea>
+                        </div>
+                        <p class="hint">aspect_ratio и image_size из тега пересчитываются в ширину/высоту.</p>
+                    </div>
+
+                    <hr>
+
+                    <h4>Очередь</h4>
+
+                    <div class="flex-row">
+                        <label for="iig_queue_concurrency">Одновременно</label>
+                        <input type="number" id="iig_queue_concurrency" class="text_pole flex1" value="${escapeHtml(profile.queueConcurrency)}" min="1" max="10">
+                    </div>
+
+                    <div class="flex-row">
+                        <label for="iig_queue_rpm">Запросов в минуту</label>
+                        <input type="number" id="iig_queue_rpm" class="text_pole flex1" value="${escapeHtml(profile.queueRpm)}" min="0" max="600">
+                    </div>
+                    <div class="flex-row">
+                        <label for="iig_request_timeout">Таймаут запроса (сек)</label>
+                        <input type="number" id="iig_request_timeout" class="text_pole flex1" value="${escapeHtml(profile.requestTimeout)}" min="0" max="3600">
+                    </div>
+                    <p class="hint">Запросы к этому профилю выполняются по очереди (FIFO) для всех сообщений. 0 — без лимита в минуту / без таймаута.</p>
+
+                    <hr>
+
+                    <div id="iig_avatar_section" class="iig-avatar-section ${profile.apiType !== 'gemini' ? 'hidden' : ''}">
+                        <h4>Настройки Nano-Banana</h4>
+
+                        <div class="flex-row">
+                            <label for="iig_aspect_ratio">Соотношение</label>
+                            <select id="iig_aspect_ratio" class="flex1">
+                                <option value="1:1" ${profile.aspectRatio === '1:1' ? 'selected' : ''}>1:1</option>
+                                <option value="2:3" ${profile.aspectRatio === '2:3' ? 'selected' : ''}>2:3</option>
+                                <option value="3:2" ${profile.aspectRatio === '3:2' ? 'selected' : ''}>3:2</option>
+                                <option value="9:16" ${profile.aspectRatio === '9:16' ? 'selected' : ''}>9:16</option>
+                                <option value="16:9" ${profile.aspectRatio === '16:9' ? 'selected' : ''}>16:9</option>
+                            </select>
+                        </div>
+
+                        <div class="flex-row">
+                            <label for="iig_image_size">Разрешение</label>
+                            <select id="iig_image_size" class="flex1">
+                                <option value="1K" ${profile.imageSize === '1K' ? 'selected' : ''}>1K</option>
+                                <option value="2K" ${profile.imageSize === '2K' ? 'selected' : ''}>2K</option>
+                                <option value="4K" ${profile.imageSize === '4K' ? 'selected' : ''}>4K</option>
+                            </select>
+                        </div>
+
+                        <hr>
+                    </div>
+    `;
+}
+
+function createSettingsUI() {
+    const settings = getSettings();
+
+    const container = document.getElementById('extensions_settings');
+    if (!container) {
+        console.error('[IIG] Settings container not found');
+        return;
+    }
+
+    const buildNpcListHtml = () => {
+        if (!settings.npcReferences || settings.npcReferences.length === 0) {
+            return '<div class="iig-npc-empty">Нет добавленных NPC</div>';
+        }
+
+        return settings.npcReferences.map((npc, index) => `
+            <div class="iig-npc-item" data-index="${index}">
+                <img src="${npc.imageDataUrl}" class="iig-npc-thumbnail" alt="${npc.name}">
+                <span class="iig-npc-name" title="${npc.name}">${npc.name}</span>
+                <div class="iig-npc-delete menu_button fa-solid fa-xmark" data-index="${index}" title="Удалить"></div>
+            </div>
+        `).join('');
+    };
+
+    const html = `
+        <div class="inline-drawer">
+            <div class="inline-drawer-toggle inline-drawer-header">
+                <b>Генерация картинок</b>
+                <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+            </div>
+            <div class="inline-drawer-content">
+                <div class="iig-settings">
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="iig_enabled" ${settings.enabled ? 'checked' : ''}>
+                        <span>Включить генерацию картинок</span>
+                    </label>
+
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="iig_streaming_generation" ${settings.streamingGeneration ? 'checked' : ''}>
+                        <span>Начинать генерацию во время стриминга ответа</span>
+                    </label>
+
+                    <div class="flex-row">
+                        <label for="iig_variants">Вариантов на тег</label>
+                        <input type="number" id="iig_variants" class="text_pole flex1" value="${settings.variants}" min="1" max="${MAX_VARIANTS}">
+                    </div>
+                    <p class="hint">Больше 1 — под тегом появится лента миниатюр, в сообщение попадёт выбранная. Остальные сохраняются как альтернативы. В теге можно указать "variants" (или "n").</p>
+
+                    <div class="flex-row">
+                        <label for="iig_resume_on_load">При открытии чата</label>
+                        <select id="iig_resume_on_load" class="flex1">
+                            <option value="ask" ${settings.resumeOnChatLoad === 'ask' ? 'selected' : ''}>Спрашивать о несгенерированных</option>
+                            <option value="auto" ${settings.resumeOnChatLoad === 'auto' ? 'selected' : ''}>Догенерировать автоматически</option>
+                            <option value="off" ${settings.resumeOnChatLoad === 'off' ? 'selected' : ''}>Ничего не делать</option>
+                        </select>
+                        <div id="iig_resume_now" class="menu_button" title="Найти и догенерировать сейчас">
+                            <i class="fa-solid fa-rotate"></i>
+                        </div>
+                    </div>
+                    <p class="hint">Теги с [IMG:GEN] и картинки, файлы которых пропали, после перезагрузки страницы или закрытия браузера.</p>
+
+                    <div id="iig_open_gallery" class="menu_button" title="Все сохранённые картинки с поиском и фильтрами">
+                        <i class="fa-solid fa-images"></i> Галерея картинок
+                    </div>
+
+                    <div class="flex-row">
+                        <div id="iig_migrate_chat" class="menu_button flex1" title="Переписать маркеры [IMG:✓] и [IMG:ERROR] текущего чата в новый формат">
+                            <i class="fa-solid fa-file-import"></i> Перевести маркеры в этом чате
+                        </div>
+                        <div id="iig_migrate_all" class="menu_button" title="То же для всех чатов всех персонажей и групп">
+                            Во всех чатах
+                        </div>
+                    </div>
+                    <p class="hint">Старые маркеры [IMG:✓:...] и [IMG:ERROR:...] становятся тегами &lt;img data-iig-instruction&gt; с исходным промптом. Маркеры, у которых промпт не сохранился ни в сообщении, ни в файле картинки, перевести нельзя — они остаются как есть.</p>
+
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="iig_process_user_messages" ${settings.processUserMessages ? 'checked' : ''}>
+                        <span>Генерировать в сообщениях пользователя и рассказчика</span>
+                    </label>
+                    <div class="flex-row">
+                        <label for="iig_chat_user_messages">В этом чате</label>
+                        <select id="iig_chat_user_messages" class="flex1">
+                            <option value="">Как в настройках</option>
+                            <option value="on">Генерировать</option>
+                            <option value="off">Не генерировать</option>
+                        </select>
+                    </div>
+                    <p class="hint">Основным референсом для таких сообщений станет аватар персоны вместо аватара персонажа.</p>
+
+                    <hr>
+
+                    <h4>Профиль подключения</h4>
+
+                    <div class="flex-row">
+                        <label for="iig_profile_select">Профиль</label>
+                        <select id="iig_profile_select" class="flex1"></select>
+                        <div id="iig_profile_add" class="menu_button fa-solid fa-plus" title="Новый профиль (копия текущего)"></div>
+                        <div id="iig_profile_rename" class="menu_button fa-solid fa-pen" title="Переименовать"></div>
+                        <div id="iig_profile_delete" class="menu_button fa-solid fa-trash" title="Удалить"></div>
+                    </div>
+
+                    <div class="flex-row">
+                        <div id="iig_profile_bind_char" class="menu_button flex1" title="Использовать этот профиль для текущего персонажа">
+                            <i class="fa-solid fa-user"></i> Привязать к персонажу
+                        </div>
+                        <div id="iig_profile_bind_chat" class="menu_button flex1" title="Использовать этот профиль в текущем чате">
+                            <i class="fa-solid fa-comments"></i> Привязать к чату
+                        </div>
+                    </div>
+                    <p id="iig_profile_binding_status" class="hint"></p>
+
+                    <div id="iig_profile_fields" class="iig-settings">
+                        ${buildProfileFieldsHtml(getActiveProfile())}
+                    </div>
+
+                    <h4>Референсы</h4>
+                    <p class="hint">Отправлять изображения как референсы для консистентной генерации. Для OpenAI-совместимого API запрос идёт на /v1/images/edits (gpt-image принимает несколько картинок, остальные модели — только первую).</p>
+
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="iig_send_char_avatar" ${settings.sendCharAvatar ? 'checked' : ''}>
+                        <span>Аватар персонажа</span>
+                    </label>
+
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="iig_send_user_avatar" ${settings.sendUserAvatar ? 'checked' : ''}>
+                        <span>Аватар пользователя</span>
+                    </label>
+
+                    <div id="iig_user_avatar_row" class="flex-row ${!settings.sendUserAvatar ? 'hidden' : ''}" style="margin-top: 5px;">
+                        <label for="iig_user_avatar_file">Файл аватара</label>
+                        <select id="iig_user_avatar_file" class="flex1">
+                            <option value="">-- Не выбран --</option>
+                            ${settings.userAvatarFile ? `<option value="${settings.userAvatarFile}" selected>${settings.userAvatarFile}</option>` : ''}
+                        </select>
+                        <div id="iig_refresh_avatars" class="menu_button iig-refresh-btn" title="Обновить">
+                            <i class="fa-solid fa-sync"></i>
+                        </div>
+                    </div>
+
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="iig_send_previous_images" ${settings.sendPreviousImages ? 'checked' : ''}>
+                        <span>Предыдущие сгенерированные картинки</span>
+                    </label>
+
+                    <div id="iig_previous_images_row" class="flex-row ${!settings.sendPreviousImages ? 'hidden' : ''}" style="margin-top: 5px;">
+                        <label for="iig_previous_images_count">Количество</label>
+                        <input type="number" id="iig_previous_images_count" class="text_pole flex1" value="${settings.previousImagesCount}" min="1" max="4">
+                    </div>
+
+                    <hr>
+
+                    <h4>NPC Референсы</h4>
+                    <p class="hint">Имя NPC в промпте = автоматический референс</p>
+
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="iig_enable_npc_references" ${settings.enableNpcReferences ? 'checked' : ''}>
+                        <span>Включить NPC референсы</span>
+                    </label>
+
+                    <div id="iig_npc_section" class="${!settings.enableNpcReferences ? 'hidden' : ''}">
+                        <div class="iig-npc-add-form">
+                            <input type="text" id="iig_npc_name" class="text_pole" placeholder="Имя NPC">
+                            <img id="iig_npc_preview" class="iig-npc-file-preview" src="" alt="">
+                            <input type="file" id="iig_npc_file" accept="image/*" style="display: none;">
+                            <div id="iig_npc_select_file" class="menu_button fa-solid fa-image" title="Картинка"></div>
+                            <div id="iig_npc_add" class="menu_button fa-solid fa-plus" title="Добавить"></div>
+                        </div>
+
+                        <div id="iig_npc_list" class="iig-npc-list">
+                            ${buildNpcListHtml()}
+                        </div>
+                    </div>
+
+                    <hr>
+
+                    <h4>Обработка ошибок</h4>
+
+                    <div class="flex-row">
+                        <label for="iig_max_retries">Макс. повторов</label>
+                        <input type="number" id="iig_max_retries" class="text_pole flex1" value="${settings.maxRetries}" min="0" max="5">
+                    </div>
+
+                    <div class="flex-row">
+                        <label for="iig_retry_delay">Задержка (мс)</label>
+                        <input type="number" id="iig_retry_delay" class="text_pole flex1" value="${settings.retryDelay}" min="500" max="10000" step="500">
+                    </div>
+
+                    <h4>Резервные профили</h4>
+                    <p class="hint">Когда повторы исчерпаны, генерация переходит к следующему подходящему профилю по списку сверху вниз. Отметьте, при каких ошибках использовать каждый профиль.</p>
+
+                    <div id="iig_fallback_list" class="iig-fallback-list"></div>
+
+                    <div class="flex-row">
+                        <div id="iig_fallback_add" class="menu_button" style="width: 100%;">
+                            <i class="fa-solid fa-plus"></i> Добавить резервный профиль
+                        </div>
+                    </div>
+
+                    <hr>
+
+                    <h4>Обработка перед сохранением</h4>
+
+                    <div class="flex-row">
+                        <label for="iig_output_format">Формат</label>
+                        <select id="iig_output_format" class="flex1">
+                            <option value="original" ${settings.outputFormat === 'original' ? 'selected' : ''}>Как вернул API</option>
+                            <option value="webp" ${settings.outputFormat === 'webp' ? 'selected' : ''}>WebP</option>
+                            <option value="jpeg" ${settings.outputFormat === 'jpeg' ? 'selected' : ''}>JPEG</option>
+                            <option value="avif" ${settings.outputFormat === 'avif' ? 'selected' : ''}>AVIF</option>
+                        </select>
+                    </div>
+                    <div class="flex-row">
+                        <label for="iig_output_quality">Качество: <span id="iig_output_quality_value">${settings.outputQuality}</span></label>
+                        <input type="range" id="iig_output_quality" class="flex1" value="${settings.outputQuality}" min="10" max="100" step="1">
+                    </div>
+                    <div class="flex-row">
+                        <label for="iig_max_image_side">Макс. сторона (px)</label>
+                        <input type="number" id="iig_max_image_side" class="text_pole flex1" value="${settings.maxImageSide}" min="0" max="8192" step="64">
+                    </div>
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="iig_strip_alpha" ${settings.stripAlpha ? 'checked' : ''}>
+                        <span>Убирать прозрачность (белый фон)</span>
+                    </label>
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="iig_chat_thumbnails" ${settings.chatThumbnails ? 'checked' : ''}>
+                        <span>Показывать в чате миниатюру, полная картинка по клику</span>
+                    </label>
+                    <div id="iig_thumbnail_row" class="flex-row ${!settings.chatThumbnails ? 'hidden' : ''}">
+                        <label for="iig_thumbnail_size">Размер миниатюры (px)</label>
+                        <input type="number" id="iig_thumbnail_size" class="text_pole flex1" value="${settings.thumbnailSize}" min="128" max="2048" step="64">
+                    </div>
+                    <p class="hint">Картинка пережимается в браузере до сохранения на сервер. Макс. сторона 0 — без ограничения. AVIF поддерживают не все браузеры, тогда сохраняется WebP.</p>
+
+                    <hr>
+
+                    <h4>Кэш запросов</h4>
+
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="iig_enable_image_cache" ${settings.enableImageCache ? 'checked' : ''}>
+                        <span>Не генерировать повторно одинаковые запросы</span>
+                    </label>
+                    <div class="flex-row">
+                        <span id="iig_cache_status" class="flex1"></span>
+                        <div id="iig_cache_inspect" class="menu_button" title="Просмотреть и удалить записи">
+                            <i class="fa-solid fa-list"></i>
+                        </div>
+                        <div id="iig_cache_clear" class="menu_button" title="Очистить кэш">
+                            <i class="fa-solid fa-trash"></i>
+                        </div>
+                    </div>
+                    <p class="hint">Если тот же профиль, модель, промпт, стиль, параметры, seed из тега и референсы уже дали картинку и файл на месте — она используется без запроса к API. Кнопки перегенерации всегда делают новую картинку.</p>
+
+                    <hr>
+
+                    <h4>Отладка</h4>
+
+                    <div class="flex-row">
+                        <div id="iig_export_logs" class="menu_button" style="width: 100%;">
+                            <i class="fa-solid fa-download"></i> Экспорт логов
                         </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+
+    container.insertAdjacentHTML('beforeend', html);
+    bindSettingsEvents(buildNpcListHtml);
+}
+
+function bindSettingsEvents(buildNpcListHtml) {
+    const settings = getSettings();
+    let selectedNpcFile = null;
+
+    const refreshNpcList = () => {
+        const listEl = document.getElementById('iig_npc_list');
+        if (listEl) {
+            listEl.innerHTML = buildNpcListHtml();
+            listEl.querySelectorAll('.iig-npc-delete').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    const index = parseInt(e.currentTarget.dataset.index);
+                    settings.npcReferences.splice(index, 1);
+                    saveSettings();
+                    refreshNpcList();
+                    toastr.success('NPC удалён', 'Генерация картинок');
+                });
+            });
+        }
+    };
 
-                        <hr>
-                    </div>
+    document.getElementById('iig_enabled')?.addEventListener('change', (e) => {
+        settings.enabled = e.target.checked;
+        saveSettings();
+    });
+
+    document.getElementById('iig_streaming_generation')?.addEventListener('change', (e) => {
+        settings.streamingGeneration = e.target.checked;
+        saveSettings();
+    });
+
+    document.getElementById('iig_variants')?.addEventListener('input', (e) => {
+        settings.variants = Math.min(MAX_VARIANTS, Math.max(1, parseInt(e.target.value) || 1));
+        saveSettings();
+    });
+
+    document.getElementById('iig_resume_on_load')?.addEventListener('change', (e) => {
+        settings.resumeOnChatLoad = e.target.value;
+        saveSettings();
+    });
+
+    document.getElementById('iig_resume_now')?.addEventListener('click', () => {
+        resumePendingTags({ manual: true });
+    });
+
+    document.getElementById('iig_output_format')?.addEventListener('change', (e) => {
+        settings.outputFormat = e.target.value;
+        saveSettings();
+    });
+
+    document.getElementById('iig_output_quality')?.addEventListener('input', (e) => {
+        settings.outputQuality = Math.min(100, Math.max(10, parseInt(e.target.value) || 85));
+        document.getElementById('iig_output_quality_value').textContent = settings.outputQuality;
+        saveSettings();
+    });
+
+    document.getElementById('iig_max_image_side')?.addEventListener('input', (e) => {
+        settings.maxImageSide = Math.max(0, parseInt(e.target.value) || 0);
+        saveSettings();
+    });
+
+    document.getElementById('iig_strip_alpha')?.addEventListener('change', (e) => {
+        settings.stripAlpha = e.target.checked;
+        saveSettings();
+    });
+
+    document.getElementById('iig_chat_thumbnails')?.addEventListener('change', (e) => {
+        settings.chatThumbnails = e.target.checked;
+        document.getElementById('iig_thumbnail_row')?.classList.toggle('hidden', !e.target.checked);
+        saveSettings();
+    });
+
+    document.getElementById('iig_thumbnail_size')?.addEventListener('input', (e) => {
+        settings.thumbnailSize = Math.min(2048, Math.max(128, parseInt(e.target.value) || 512));
+        saveSettings();
+    });
+
+    updateCacheStatus();
+    document.getElementById('iig_enable_image_cache')?.addEventListener('change', (e) => {
+        settings.enableImageCache = e.target.checked;
+        saveSettings();
+    });
+
+    document.getElementById('iig_cache_inspect')?.addEventListener('click', () => {
+        openCacheInspector();
+    });
+
+    document.getElementById('iig_cache_clear')?.addEventListener('click', async () => {
+        const context = SillyTavern.getContext();
+        const confirmed = await context.callGenericPopup('Очистить кэш запросов? Файлы картинок не удаляются.', context.POPUP_TYPE.CONFIRM);
+        if (!confirmed) return;
+        settings.imageCache = {};
+        saveSettings();
+        updateCacheStatus();
+    });
+
+    document.getElementById('iig_open_gallery')?.addEventListener('click', () => {
+        openGallery();
+    });
+
+    document.getElementById('iig_migrate_chat')?.addEventListener('click', () => {
+        runMarkerMigration(false);
+    });
+
+    document.getElementById('iig_migrate_all')?.addEventListener('click', async () => {
+        const context = SillyTavern.getContext();
+        const confirmed = await context.callGenericPopup('Перевести старые маркеры картинок во всех чатах? Чаты будут перезаписаны.', context.POPUP_TYPE.CONFIRM);
+        if (confirmed) runMarkerMigration(true);
+    });
+
+    document.getElementById('iig_process_user_messages')?.addEventListener('change', (e) => {
+        settings.processUserMessages = e.target.checked;
+        saveSettings();
+        addButtonsToExistingMessages();
+    });
+
+    updateChatUserMessagesSelect();
+    document.getElementById('iig_chat_user_messages')?.addEventListener('change', async (e) => {
+        const value = e.target.value === 'on' ? true : e.target.value === 'off' ? false : null;
+        await setChatUserMessagesOverride(value);
+        addButtonsToExistingMessages();
+    });
+
+    document.getElementById('iig_send_char_avatar')?.addEventListener('change', (e) => {
+        settings.sendCharAvatar = e.target.checked;
+        settings.naisteraSendCharAvatar = e.target.checked;
+        saveSettings();
+    });
+
+    document.getElementById('iig_send_user_avatar')?.addEventListener('change', (e) => {
+        settings.sendUserAvatar = e.target.checked;
+        settings.naisteraSendUserAvatar = e.target.checked;
+        saveSettings();
+
+        const avatarRow = document.getElementById('iig_user_avatar_row');
+        if (avatarRow) avatarRow.classList.toggle('hidden', !e.target.checked);
+    });
+
+    document.getElementById('iig_user_avatar_file')?.addEventListener('change', (e) => {
+        settings.userAvatarFile = e.target.value;
+        saveSettings();
+    });
+
+    document.getElementById('iig_refresh_avatars')?.addEventListener('click', async (e) => {
+        const btn = e.currentTarget;
+        btn.classList.add('loading');
+
+        try {
+            const avatars = await fetchUserAvatars();
+            const select = document.getElementById('iig_user_avatar_file');
+            const currentAvatar = settings.userAvatarFile;
+
+            select.innerHTML = '<option value="">-- Не выбран --</option>';
+
+            for (const avatar of avatars) {
+                const option = document.createElement('option');
+                option.value = avatar;
+                option.textContent = avatar;
+                option.selected = avatar === currentAvatar;
+                select.appendChild(option);
+            }
+
+            toastr.success(`Найдено: ${avatars.length}`, 'Генерация картинок');
+        } catch (error) {
+            toastr.error('Ошибка загрузки', 'Генерация картинок');
+        } finally {
+            btn.classList.remove('loading');
+        }
+    });
+
+    document.getElementById('iig_send_previous_images')?.addEventListener('change', (e) => {
+        settings.sendPreviousImages = e.target.checked;
+        saveSettings();
+
+        const row = document.getElementById('iig_previous_images_row');
+        if (row) row.classList.toggle('hidden', !e.target.checked);
+    });
+
+    document.getElementById('iig_previous_images_count')?.addEventListener('input', (e) => {
+        settings.previousImagesCount = Math.min(4, Math.max(1, parseInt(e.target.value) || 2));
+        saveSettings();
+    });
+
+    document.getElementById('iig_enable_npc_references')?.addEventListener('change', (e) => {
+        settings.enableNpcReferences = e.target.checked;
+        saveSettings();
+
+        const section = document.getElementById('iig_npc_section');
+        if (section) section.classList.toggle('hidden', !e.target.checked);
+    });
+
+    document.getElementById('iig_npc_select_file')?.addEventListener('click', () => {
+        document.getElementById('iig_npc_file')?.click();
+    });
+
+    document.getElementById('iig_npc_file')?.addEventListener('change', async (e) => {
+        const file = e.target.files?.[0];
+        const preview = document.getElementById('iig_npc_preview');
+
+        if (file) {
+            selectedNpcFile = file;
+            const dataUrl = await readFileAsDataUrl(file);
+            if (preview) {
+                preview.src = dataUrl;
+                preview.classList.add('has-image');
+            }
+        } else {
+            selectedNpcFile = null;
+            if (preview) {
+                preview.src = '';
+                preview.classList.remove('has-image');
+            }
+        }
+    });
+
+    document.getElementById('iig_npc_add')?.addEventListener('click', async () => {
+        const nameInput = document.getElementById('iig_npc_name');
+        const name = nameInput?.value?.trim();
+
+        if (!name) {
+            toastr.warning('Введите имя NPC', 'Генерация картинок');
+            return;
+        }
+
+        if (!selectedNpcFile) {
+            toastr.warning('Выберите картинку', 'Генерация картинок');
+            return;
+        }
+
+        try {
+            const dataUrl = await readFileAsDataUrl(selectedNpcFile);
+
+            if (!settings.npcReferences) settings.npcReferences = [];
+
+            const existingIndex = settings.npcReferences.findIndex(npc => npc.name.toLowerCase() === name.toLowerCase());
+            if (existingIndex !== -1) {
+                settings.npcReferences[existingIndex].imageDataUrl = dataUrl;
+                toastr.success(`NPC "${name}" обновлён`, 'Генерация картинок');
+            } else {
+                settings.npcReferences.push({ name: name, imageDataUrl: dataUrl });
+                toastr.success(`NPC "${name}" добавлен`, 'Генерация картинок');
+            }
+
+            saveSettings();
+            refreshNpcList();
+
+            nameInput.value = '';
+            selectedNpcFile = null;
+            const preview = document.getElementById('iig_npc_preview');
+            if (preview) {
+                preview.src = '';
+                preview.classList.remove('has-image');
+            }
+            document.getElementById('iig_npc_file').value = '';
+        } catch (error) {
+            toastr.error(`Ошибка: ${error.message}`, 'Генерация картинок');
+        }
+    });
+
+    refreshNpcList();
+
+    document.getElementById('iig_max_retries')?.addEventListener('input', (e) => {
+        settings.maxRetries = parseInt(e.target.value) || 0;
+        saveSettings();
+    });
+
+    document.getElementById('iig_retry_delay')?.addEventListener('input', (e) => {
+        settings.retryDelay = parseInt(e.target.value) || 1000;
+        saveSettings();
+    });
+
+    document.getElementById('iig_fallback_add')?.addEventListener('click', () => {
+        const profile = settings.profiles.find(p => p.id !== getActiveProfile().id) || settings.profiles[0];
+        settings.fallbackRules.push({ profileId: profile.id, on: ['quota', 'server', 'network'] });
+        saveSettings();
+        refreshFallbackList();
+    });
+
+    document.getElementById('iig_export_logs')?.addEventListener('click', () => {
+        exportLogs();
+    });
+
+    bindProfileEvents();
+    refreshFallbackList();
+    bindProfileFieldEvents(getActiveProfile());
+}
+
+function refreshFallbackList() {
+    const settings = getSettings();
+    const listEl = document.getElementById('iig_fallback_list');
+    if (!listEl) return;
+
+    listEl.innerHTML = '';
+    if (settings.fallbackRules.length === 0) {
+        listEl.innerHTML = '<div class="iig-npc-empty">Резервных профилей нет</div>';
+        return;
+    }
+
+    settings.fallbackRules.forEach((rule, index) => {
+        const item = document.createElement('div');
+        item.className = 'iig-fallback-item';
+
+        const header = document.createElement('div');
+        header.className = 'flex-row';
+
+        const select = document.createElement('select');
+        select.className = 'flex1';
+        for (const profile of settings.profiles) {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.selected = profile.id === rule.profileId;
+            select.appendChild(option);
+        }
+        if (!getProfileById(rule.profileId)) {
+            const option = document.createElement('option');
+            option.value = rule.profileId;
+            option.textContent = '(профиль удалён)';
+            option.selected = true;
+            select.prepend(option);
+        }
+        select.addEventListener('change', (e) => {
+            rule.profileId = e.target.value;
+            saveSettings();
+        });
+
+        const upBtn = document.createElement('div');
+        upBtn.className = 'menu_button fa-solid fa-arrow-up';
+        upBtn.title = 'Выше';
+        upBtn.addEventListener('click', () => {
+            if (index === 0) return;
+            [settings.fallbackRules[index - 1], settings.fallbackRules[index]] = [settings.fallbackRules[index], settings.fallbackRules[index - 1]];
+            saveSettings();
+            refreshFallbackList();
+        });
+
+        const deleteBtn = document.createElement('div');
+        deleteBtn.className = 'menu_button fa-solid fa-xmark';
+        deleteBtn.title = 'Удалить';
+        deleteBtn.addEventListener('click', () => {
+            settings.fallbackRules.splice(index, 1);
+            saveSettings();
+            refreshFallbackList();
+        });
+
+        header.append(select, upBtn, deleteBtn);
+
+        const classes = document.createElement('div');
+        classes.className = 'iig-fallback-classes';
+        for (const [key, label] of Object.entries(ERROR_CLASSES)) {
+            const checkLabel = document.createElement('label');
+            checkLabel.className = 'checkbox_label';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = rule.on?.includes(key);
+            checkbox.addEventListener('change', (e) => {
+                rule.on = (rule.on || []).filter(k => k !== key);
+                if (e.target.checked) rule.on.push(key);
+                saveSettings();
+            });
+            const span = document.createElement('span');
+            span.textContent = label;
+            checkLabel.append(checkbox, span);
+            classes.appendChild(checkLabel);
+        }
+
+        item.append(header, classes);
+        listEl.appendChild(item);
+    });
+}
+
+function refreshProfileSelect() {
+    const settings = getSettings();
+    const select = document.getElementById('iig_profile_select');
+    if (!select) return;
+
+    select.innerHTML = '';
+    for (const profile of settings.profiles) {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        option.selected = profile.id === getActiveProfile().id;
+        select.appendChild(option);
+    }
+}
+
+function updateCacheStatus() {
+    const statusEl = document.getElementById('iig_cache_status');
+    if (!statusEl) return;
+    statusEl.textContent = `Записей: ${Object.keys(getSettings().imageCache).length}`;
+}
 
-                    <h4>Референсы</h4>
-                    <p class="hint">Отправлять изображения как референсы для консистентной генерации.</p>
+async function openCacheInspector() {
+    const context = SillyTavern.getContext();
+    const settings = getSettings();
+    const entries = Object.entries(settings.imageCache).sort(([, a], [, b]) => b.createdAt - a.createdAt);
 
-                    <label class="checkbox_label">
-                        <input type="checkbox" id="iig_send_char_avatar" ${settings.sendCharAvatar ? 'checked' : ''}>
-                        <span>Аватар персонажа</span>
-                    </label>
+    const list = document.createElement('div');
+    list.className = 'iig-npc-list iig-cache-list';
+    if (entries.length === 0) {
+        list.innerHTML = '<div class="iig-npc-empty">Кэш пуст</div>';
+    }
+    for (const [key, entry] of entries) {
+        const item = document.createElement('div');
+        item.className = 'iig-npc-item';
+        item.title = `${entry.prompt}\n${entry.path}`;
+        item.innerHTML = `
+            <img class="iig-npc-thumbnail" loading="lazy" alt="">
+            <span class="iig-npc-name"></span>
+            <div class="iig-npc-delete menu_button fa-solid fa-xmark" title="Удалить запись"></div>
+        `;
+        item.querySelector('img').src = entry.thumbPath || entry.path;
+        item.querySelector('.iig-npc-name').textContent = `${new Date(entry.createdAt).toLocaleString()} · ${entry.provider}${entry.model ? ` (${entry.model})` : ''} · ${entry.prompt}`;
+        item.querySelector('.iig-npc-delete').addEventListener('click', () => {
+            delete settings.imageCache[key];
+            saveSettings();
+            updateCacheStatus();
+            item.remove();
+        });
+        list.appendChild(item);
+    }
 
-                    <label class="checkbox_label">
-                        <input type="checkbox" id="iig_send_user_avatar" ${settings.sendUserAvatar ? 'checked' : ''}>
-                        <span>Аватар пользователя</span>
-                    </label>
+    await context.callGenericPopup(list, context.POPUP_TYPE.TEXT, '', { wide: true, okButton: 'Закрыть' });
+}
 
-                    <div id="iig_user_avatar_row" class="flex-row ${!settings.sendUserAvatar ? 'hidden' : ''}" style="margin-top: 5px;">
-                        <label for="iig_user_avatar_file">Файл аватара</label>
-                        <select id="iig_user_avatar_file" class="flex1">
-                            <option value="">-- Не выбран --</option>
-                            ${settings.userAvatarFile ? `<option value="${settings.userAvatarFile}" selected>${settings.userAvatarFile}</option>` : ''}
-                        </select>
-                        <div id="iig_refresh_avatars" class="menu_button iig-refresh-btn" title="Обновить">
-                            <i class="fa-solid fa-sync"></i>
-                        </div>
-                    </div>
+function updateChatUserMessagesSelect() {
+    const select = document.getElementById('iig_chat_user_messages');
+    if (!select) return;
+    const override = getChatUserMessagesOverride();
+    select.value = override === null ? '' : override ? 'on' : 'off';
+}
 
-                    <label class="checkbox_label">
-                        <input type="checkbox" id="iig_send_previous_images" ${settings.sendPreviousImages ? 'checked' : ''}>
-                        <span>Предыдущие сгенерированные картинки</span>
-                    </label>
+function updateProfileBindingStatus() {
+    const statusEl = document.getElementById('iig_profile_binding_status');
+    if (!statusEl) return;
 
-                    <div id="iig_previous_images_row" class="flex-row ${!settings.sendPreviousImages ? 'hidden' : ''}" style="margin-top: 5px;">
-                        <label for="iig_previous_images_count">Количество</label>
-                        <input type="number" id="iig_previous_images_count" class="text_pole flex1" value="${settings.previousImagesCount}" min="1" max="4">
-                    </div>
+    const selected = getActiveProfile();
+    const chatProfile = getProfileById(getChatProfileId());
+    const charProfile = getProfileById(getCharacterProfileId());
+    const effective = resolveProfile();
 
-                    <hr>
+    let source = 'выбран в настройках';
+    if (chatProfile) source = 'привязан к чату';
+    else if (charProfile) source = 'привязан к персонажу';
+    statusEl.textContent = `Сейчас используется: "${effective.name}" (${source})`;
 
-                    <h4>NPC Референсы</h4>
-                    <p class="hint">Имя NPC в промпте = автоматический референс</p>
+    const charBtn = document.getElementById('iig_profile_bind_char');
+    const chatBtn = document.getElementById('iig_profile_bind_chat');
+    charBtn?.classList.toggle('iig-profile-bound', charProfile?.id === selected.id);
+    chatBtn?.classList.toggle('iig-profile-bound', chatProfile?.id === selected.id);
+}
 
-                    <label class="checkbox_label">
-                        <input type="checkbox" id="iig_enable_npc_references" ${settings.enableNpcReferences ? 'checked' : ''}>
-                        <span>Включить NPC референсы</span>
-                    </label>
+function renderProfileFields() {
+    const container = document.getElementById('iig_profile_fields');
+    if (!container) return;
+    const profile = getActiveProfile();
+    container.innerHTML = buildProfileFieldsHtml(profile);
+    bindProfileFieldEvents(profile);
+}
 
-                    <div id="iig_npc_section" class="${!settings.enableNpcReferences ? 'hidden' : ''}">
-                        <div class="iig-npc-add-form">
-                            <input type="text" id="iig_npc_name" class="text_pole" placeholder="Имя NPC">
-                            <img id="iig_npc_preview" class="iig-npc-file-preview" src="" alt="">
-                            <input type="file" id="iig_npc_file" accept="image/*" style="display: none;">
-                            <div id="iig_npc_select_file" class="menu_button fa-solid fa-image" title="Картинка"></div>
-                            <div id="iig_npc_add" class="menu_button fa-solid fa-plus" title="Добавить"></div>
-                        </div>
+function bindProfileEvents() {
+    const settings = getSettings();
+    const context = SillyTavern.getContext();
 
-                        <div id="iig_npc_list" class="iig-npc-list">
-                            ${buildNpcListHtml()}
-                        </div>
-                    </div>
+    refreshProfileSelect();
+    updateProfileBindingStatus();
 
-                    <hr>
+    document.getElementById('iig_profile_select')?.addEventListener('change', (e) => {
+        settings.activeProfileId = e.target.value;
+        saveSettings();
+        renderProfileFields();
+        updateProfileBindingStatus();
+    });
 
-                    <h4>Обработка ошибок</h4>
+    document.getElementById('iig_profile_add')?.addEventListener('click', async () => {
+        const source = getActiveProfile();
+        const name = await context.callGenericPopup('Название нового профиля:', context.POPUP_TYPE.INPUT, `${source.name} (копия)`);
+        if (!name || !String(name).trim()) return;
 
-                    <div class="flex-row">
-                        <label for="iig_max_retries">Макс. повторов</label>
-                        <input type="number" id="iig_max_retries" class="text_pole flex1" value="${settings.maxRetries}" min="0" max="5">
-                    </div>
+        const profile = { ...structuredClone(source), id: createProfileId(), name: String(name).trim() };
+        settings.profiles.push(profile);
+        settings.activeProfileId = profile.id;
+        saveSettings();
+        refreshProfileSelect();
+        refreshFallbackList();
+        renderProfileFields();
+        updateProfileBindingStatus();
+        toastr.success(`Профиль "${profile.name}" создан`, 'Генерация картинок');
+    });
 
-                    <div class="flex-row">
-                        <label for="iig_retry_delay">Задержка (мс)</label>
-                        <input type="number" id="iig_retry_delay" class="text_pole flex1" value="${settings.retryDelay}" min="500" max="10000" step="500">
-                    </div>
+    document.getElementById('iig_profile_rename')?.addEventListener('click', async () => {
+        const profile = getActiveProfile();
+        const name = await context.callGenericPopup('Новое название профиля:', context.POPUP_TYPE.INPUT, profile.name);
+        if (!name || !String(name).trim()) return;
 
-                    <hr>
+        profile.name = String(name).trim();
+        saveSettings();
+        refreshProfileSelect();
+        refreshFallbackList();
+        updateProfileBindingStatus();
+    });
 
-                    <h4>Отладка</h4>
+    document.getElementById('iig_profile_delete')?.addEventListener('click', async () => {
+        if (settings.profiles.length <= 1) {
+            toastr.warning('Нельзя удалить последний профиль', 'Генерация картинок');
+            return;
+        }
+        const profile = getActiveProfile();
+        const confirmed = await context.callGenericPopup(`Удалить профиль "${profile.name}"?`, context.POPUP_TYPE.CONFIRM);
+        if (!confirmed) return;
 
-                    <div class="flex-row">
-                        <div id="iig_export_logs" class="menu_button" style="width: 100%;">
-                            <i class="fa-solid fa-download"></i> Экспорт логов
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>
-    `;
+        settings.profiles = settings.profiles.filter(p => p.id !== profile.id);
+        settings.activeProfileId = settings.profiles[0].id;
+        saveSettings();
+        refreshProfileSelect();
+        refreshFallbackList();
+        renderProfileFields();
+        updateProfileBindingStatus();
+        toastr.success(`Профиль "${profile.name}" удалён`, 'Генерация картинок');
+    });
 
-    container.insertAdjacentHTML('beforeend', html);
-    bindSettingsEvents(buildNpcListHtml);
-}
+    document.getElementById('iig_profile_bind_char')?.addEventListener('click', async () => {
+        const ctx = SillyTavern.getContext();
+        if (ctx.characterId === undefined || ctx.characterId === null) {
+            toastr.warning('Откройте чат с персонажем', 'Генерация картинок');
+            return;
+        }
+        const profile = getActiveProfile();
+        const unbind = getCharacterProfileId() === profile.id;
+        await bindProfileToCharacter(unbind ? null : profile.id);
+        updateProfileBindingStatus();
+        toastr.success(unbind ? 'Привязка к персонажу снята' : `Профиль "${profile.name}" привязан к персонажу`, 'Генерация картинок');
+    });
 
-function bindSettingsEvents(buildNpcListHtml) {
-    const settings = getSettings();
-    let selectedNpcFile = null;
+    document.getElementById('iig_profile_bind_chat')?.addEventListener('click', async () => {
+        const ctx = SillyTavern.getContext();
+        if (!ctx.chatId && !ctx.getCurrentChatId?.()) {
+            toastr.warning('Откройте чат', 'Генерация картинок');
+            return;
+        }
+        const profile = getActiveProfile();
+        const unbind = getChatProfileId() === profile.id;
+        await bindProfileToChat(unbind ? null : profile.id);
+        updateProfileBindingStatus();
+        toastr.success(unbind ? 'Привязка к чату снята' : `Профиль "${profile.name}" привязан к чату`, 'Генерация картинок');
+    });
+}
 
+function bindProfileFieldEvents(profile) {
     const updateVisibility = () => {
-        const apiType = settings.apiType;
+        const apiType = profile.apiType;
         const isNaistera = apiType === 'naistera';
         const isGemini = apiType === 'gemini';
         const isOpenAI = apiType === 'openai';
+        const isSDWebUI = apiType === 'sdwebui';
+        const isComfyUI = apiType === 'comfyui';
 
-        document.getElementById('iig_model_row')?.classList.toggle('iig-hidden', isNaistera);
+        document.getElementById('iig_model_row')?.classList.toggle('iig-hidden', isNaistera || isComfyUI);
         document.getElementById('iig_size_row')?.classList.toggle('iig-hidden', !isOpenAI);
         document.getElementById('iig_quality_row')?.classList.toggle('iig-hidden', !isOpenAI);
+        document.getElementById('iig_async_block')?.classList.toggle('iig-hidden', !isOpenAI);
         document.getElementById('iig_naistera_aspect_row')?.classList.toggle('iig-hidden', !isNaistera);
         document.getElementById('iig_naistera_preset_row')?.classList.toggle('iig-hidden', !isNaistera);
         document.getElementById('iig_naistera_hint')?.classList.toggle('iig-hidden', !isNaistera);
+        document.getElementById('iig_sdwebui_hint')?.classList.toggle('iig-hidden', !isSDWebUI);
+        document.getElementById('iig_sd_section')?.classList.toggle('iig-hidden', !isSDWebUI);
+        document.getElementById('iig_comfyui_hint')?.classList.toggle('iig-hidden', !isComfyUI);
+        document.getElementById('iig_comfy_section')?.classList.toggle('iig-hidden', !isComfyUI);
+        document.getElementById('iig_local_section')?.classList.toggle('iig-hidden', !isSDWebUI && !isComfyUI);
 
         const avatarSection = document.getElementById('iig_avatar_section');
         if (avatarSection) avatarSection.classList.toggle('hidden', !isGemini);
     };
 
-    const refreshNpcList = () => {
-        const listEl = document.getElementById('iig_npc_list');
-        if (listEl) {
-            listEl.innerHTML = buildNpcListHtml();
-            listEl.querySelectorAll('.iig-npc-delete').forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    const index = parseInt(e.currentTarget.dataset.index);
-                    settings.npcReferences.splice(index, 1);
-                    saveSettings();
-                    refreshNpcList();
-                    toastr.success('NPC удалён', 'Генерация картинок');
-                });
-            });
-        }
-    };
-
-    document.getElementById('iig_enabled')?.addEventListener('change', (e) => {
-        settings.enabled = e.target.checked;
-        saveSettings();
-    });
-
     document.getElementById('iig_api_type')?.addEventListener('change', (e) => {
-        settings.apiType = e.target.value;
+        profile.apiType = e.target.value;
         saveSettings();
         updateVisibility();
     });
 
     document.getElementById('iig_endpoint')?.addEventListener('input', (e) => {
-        settings.endpoint = e.target.value;
+        profile.endpoint = e.target.value;
         saveSettings();
     });
 
     document.getElementById('iig_api_key')?.addEventListener('input', (e) => {
-        settings.apiKey = e.target.value;
+        profile.apiKey = e.target.value;
         saveSettings();
     });
 
@@ -1492,12 +5467,12 @@ function bindSettingsEvents(buildNpcListHtml) {
     });
 
     document.getElementById('iig_model')?.addEventListener('change', (e) => {
-        settings.model = e.target.value;
+        profile.model = e.target.value;
         saveSettings();
 
-        if (isGeminiModel(e.target.value)) {
+        if (profile.apiType !== 'sdwebui' && isGeminiModel(e.target.value)) {
             document.getElementById('iig_api_type').value = 'gemini';
-            settings.apiType = 'gemini';
+            profile.apiType = 'gemini';
             updateVisibility();
         }
     });
@@ -1507,11 +5482,12 @@ function bindSettingsEvents(buildNpcListHtml) {
         btn.classList.add('loading');
 
         try {
-            const models = await fetchModels();
+            const isSDWebUI = profile.apiType === 'sdwebui';
+            const models = isSDWebUI ? await fetchSDModels() : await fetchModels();
             const select = document.getElementById('iig_model');
-            const currentModel = settings.model;
+            const currentModel = profile.model;
 
-            select.innerHTML = '<option value="">-- Выберите --</option>';
+            select.innerHTML = `<option value="">${isSDWebUI ? '-- Текущий на сервере --' : '-- Выберите --'}</option>`;
 
             for (const model of models) {
                 const option = document.createElement('option');
@@ -1530,75 +5506,96 @@ function bindSettingsEvents(buildNpcListHtml) {
     });
 
     document.getElementById('iig_size')?.addEventListener('change', (e) => {
-        settings.size = e.target.value;
+        profile.size = e.target.value;
         saveSettings();
     });
 
     document.getElementById('iig_quality')?.addEventListener('change', (e) => {
-        settings.quality = e.target.value;
+        profile.quality = e.target.value;
         saveSettings();
     });
 
     document.getElementById('iig_aspect_ratio')?.addEventListener('change', (e) => {
-        settings.aspectRatio = e.target.value;
+        profile.aspectRatio = e.target.value;
         saveSettings();
     });
 
     document.getElementById('iig_image_size')?.addEventListener('change', (e) => {
-        settings.imageSize = e.target.value;
+        profile.imageSize = e.target.value;
         saveSettings();
     });
 
-    document.getElementById('iig_naistera_aspect_ratio')?.addEventListener('change', (e) => {
-        settings.naisteraAspectRatio = e.target.value;
+    document.getElementById('iig_async_mode')?.addEventListener('change', (e) => {
+        profile.asyncMode = e.target.checked;
         saveSettings();
+
+        const section = document.getElementById('iig_async_section');
+        if (section) section.classList.toggle('iig-hidden', !e.target.checked);
     });
 
-    document.getElementById('iig_naistera_preset')?.addEventListener('change', (e) => {
-        settings.naisteraPreset = e.target.value;
+    const asyncTextFields = {
+        iig_async_task_id_path: 'asyncTaskIdPath',
+        iig_async_status_url: 'asyncStatusUrl',
+        iig_async_status_path: 'asyncStatusPath',
+        iig_async_success_values: 'asyncSuccessValues',
+        iig_async_failure_values: 'asyncFailureValues',
+        iig_async_result_path: 'asyncResultPath',
+        iig_async_progress_path: 'asyncProgressPath',
+        iig_async_queue_path: 'asyncQueuePath',
+        iig_async_error_path: 'asyncErrorPath',
+    };
+    for (const [id, key] of Object.entries(asyncTextFields)) {
+        document.getElementById(id)?.addEventListener('input', (e) => {
+            profile[key] = e.target.value.trim();
+            saveSettings();
+        });
+    }
+
+    document.getElementById('iig_async_poll_interval')?.addEventListener('input', (e) => {
+        profile.asyncPollInterval = Math.min(30000, Math.max(500, parseInt(e.target.value) || 2000));
         saveSettings();
     });
 
-    document.getElementById('iig_send_char_avatar')?.addEventListener('change', (e) => {
-        settings.sendCharAvatar = e.target.checked;
-        settings.naisteraSendCharAvatar = e.target.checked;
+    document.getElementById('iig_async_max_wait')?.addEventListener('input', (e) => {
+        profile.asyncMaxWait = Math.min(3600, Math.max(10, parseInt(e.target.value) || 600)) * 1000;
         saveSettings();
     });
 
-    document.getElementById('iig_send_user_avatar')?.addEventListener('change', (e) => {
-        settings.sendUserAvatar = e.target.checked;
-        settings.naisteraSendUserAvatar = e.target.checked;
+    document.getElementById('iig_naistera_aspect_ratio')?.addEventListener('change', (e) => {
+        profile.naisteraAspectRatio = e.target.value;
         saveSettings();
+    });
 
-        const avatarRow = document.getElementById('iig_user_avatar_row');
-        if (avatarRow) avatarRow.classList.toggle('hidden', !e.target.checked);
+    document.getElementById('iig_naistera_preset')?.addEventListener('change', (e) => {
+        profile.naisteraPreset = e.target.value;
+        saveSettings();
     });
 
-    document.getElementById('iig_user_avatar_file')?.addEventListener('change', (e) => {
-        settings.userAvatarFile = e.target.value;
+    document.getElementById('iig_sd_sampler')?.addEventListener('change', (e) => {
+        profile.sdSampler = e.target.value;
         saveSettings();
     });
 
-    document.getElementById('iig_refresh_avatars')?.addEventListener('click', async (e) => {
+    document.getElementById('iig_refresh_samplers')?.addEventListener('click', async (e) => {
         const btn = e.currentTarget;
         btn.classList.add('loading');
 
         try {
-            const avatars = await fetchUserAvatars();
-            const select = document.getElementById('iig_user_avatar_file');
-            const currentAvatar = settings.userAvatarFile;
+            const samplers = await fetchSDSamplers();
+            const select = document.getElementById('iig_sd_sampler');
+            const currentSampler = profile.sdSampler;
 
-            select.innerHTML = '<option value="">-- Не выбран --</option>';
+            select.innerHTML = '<option value="">-- По умолчанию --</option>';
 
-            for (const avatar of avatars) {
+            for (const sampler of samplers) {
                 const option = document.createElement('option');
-                option.value = avatar;
-                option.textContent = avatar;
-                option.selected = avatar === currentAvatar;
+                option.value = sampler;
+                option.textContent = sampler;
+                option.selected = sampler === currentSampler;
                 select.appendChild(option);
             }
 
-            toastr.success(`Найдено: ${avatars.length}`, 'Генерация картинок');
+            toastr.success(`Найдено: ${samplers.length}`, 'Генерация картинок');
         } catch (error) {
             toastr.error('Ошибка загрузки', 'Генерация картинок');
         } finally {
@@ -1606,111 +5603,100 @@ function bindSettingsEvents(buildNpcListHtml) {
         }
     });
 
-    document.getElementById('iig_send_previous_images')?.addEventListener('change', (e) => {
-        settings.sendPreviousImages = e.target.checked;
+    document.getElementById('iig_queue_concurrency')?.addEventListener('input', (e) => {
+        profile.queueConcurrency = Math.min(10, Math.max(1, parseInt(e.target.value) || 1));
         saveSettings();
+        for (const queue of generationQueues.values()) pumpGenerationQueue(queue);
+    });
 
-        const row = document.getElementById('iig_previous_images_row');
-        if (row) row.classList.toggle('hidden', !e.target.checked);
+    document.getElementById('iig_queue_rpm')?.addEventListener('input', (e) => {
+        profile.queueRpm = Math.min(600, Math.max(0, parseInt(e.target.value) || 0));
+        saveSettings();
+        for (const queue of generationQueues.values()) pumpGenerationQueue(queue);
     });
 
-    document.getElementById('iig_previous_images_count')?.addEventListener('input', (e) => {
-        settings.previousImagesCount = Math.min(4, Math.max(1, parseInt(e.target.value) || 2));
+    document.getElementById('iig_request_timeout')?.addEventListener('input', (e) => {
+        profile.requestTimeout = Math.min(3600, Math.max(0, parseInt(e.target.value) || 0));
         saveSettings();
     });
 
-    document.getElementById('iig_enable_npc_references')?.addEventListener('change', (e) => {
-        settings.enableNpcReferences = e.target.checked;
+    document.getElementById('iig_sd_steps')?.addEventListener('input', (e) => {
+        profile.sdSteps = Math.min(150, Math.max(1, parseInt(e.target.value) || 25));
         saveSettings();
+    });
 
-        const section = document.getElementById('iig_npc_section');
-        if (section) section.classList.toggle('hidden', !e.target.checked);
+    document.getElementById('iig_sd_cfg_scale')?.addEventListener('input', (e) => {
+        profile.sdCfgScale = Math.min(30, Math.max(1, parseFloat(e.target.value) || 7));
+        saveSettings();
     });
 
-    document.getElementById('iig_npc_select_file')?.addEventListener('click', () => {
-        document.getElementById('iig_npc_file')?.click();
+    document.getElementById('iig_sd_width')?.addEventListener('input', (e) => {
+        profile.sdWidth = Math.min(4096, Math.max(64, parseInt(e.target.value) || 1024));
+        saveSettings();
     });
 
-    document.getElementById('iig_npc_file')?.addEventListener('change', async (e) => {
-        const file = e.target.files?.[0];
-        const preview = document.getElementById('iig_npc_preview');
+    document.getElementById('iig_sd_height')?.addEventListener('input', (e) => {
+        profile.sdHeight = Math.min(4096, Math.max(64, parseInt(e.target.value) || 1024));
+        saveSettings();
+    });
 
-        if (file) {
-            selectedNpcFile = file;
-            const dataUrl = await readFileAsDataUrl(file);
-            if (preview) {
-                preview.src = dataUrl;
-                preview.classList.add('has-image');
-            }
-        } else {
-            selectedNpcFile = null;
-            if (preview) {
-                preview.src = '';
-                preview.classList.remove('has-image');
-            }
-        }
+    document.getElementById('iig_sd_denoising')?.addEventListener('input', (e) => {
+        const value = parseFloat(e.target.value);
+        profile.sdDenoisingStrength = Number.isNaN(value) ? 0.6 : Math.min(1, Math.max(0, value));
+        saveSettings();
     });
 
-    document.getElementById('iig_npc_add')?.addEventListener('click', async () => {
-        const nameInput = document.getElementById('iig_npc_name');
-        const name = nameInput?.value?.trim();
+    document.getElementById('iig_sd_negative')?.addEventListener('input', (e) => {
+        profile.sdNegativePrompt = e.target.value;
+        saveSettings();
+    });
 
-        if (!name) {
-            toastr.warning('Введите имя NPC', 'Генерация картинок');
-            return;
+    const applyComfyWorkflow = (text) => {
+        const hint = document.getElementById('iig_comfy_placeholders');
+        try {
+            parseComfyWorkflow(text);
+            profile.comfyWorkflow = text;
+            saveSettings();
+            if (hint) hint.textContent = buildComfyPlaceholdersHint(text);
+            return true;
+        } catch (error) {
+            if (hint) hint.textContent = error.message;
+            return false;
         }
+    };
 
-        if (!selectedNpcFile) {
-            toastr.warning('Выберите картинку', 'Генерация картинок');
-            return;
+    document.getElementById('iig_comfy_workflow')?.addEventListener('change', (e) => {
+        if (!applyComfyWorkflow(e.target.value)) {
+            toastr.error('Некорректный workflow', 'Генерация картинок');
         }
+    });
 
-        try {
-            const dataUrl = await readFileAsDataUrl(selectedNpcFile);
+    document.getElementById('iig_comfy_workflow_upload')?.addEventListener('click', () => {
+        document.getElementById('iig_comfy_workflow_file')?.click();
+    });
 
-            if (!settings.npcReferences) settings.npcReferences = [];
+    document.getElementById('iig_comfy_workflow_file')?.addEventListener('change', async (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
 
-            const existingIndex = settings.npcReferences.findIndex(npc => npc.name.toLowerCase() === name.toLowerCase());
-            if (existingIndex !== -1) {
-                settings.npcReferences[existingIndex].imageDataUrl = dataUrl;
-                toastr.success(`NPC "${name}" обновлён`, 'Генерация картинок');
+        try {
+            const text = await file.text();
+            if (applyComfyWorkflow(text)) {
+                document.getElementById('iig_comfy_workflow').value = text;
+                toastr.success('Workflow загружен', 'Генерация картинок');
             } else {
-                settings.npcReferences.push({ name: name, imageDataUrl: dataUrl });
-                toastr.success(`NPC "${name}" добавлен`, 'Генерация картинок');
-            }
-
-            saveSettings();
-            refreshNpcList();
-
-            nameInput.value = '';
-            selectedNpcFile = null;
-            const preview = document.getElementById('iig_npc_preview');
-            if (preview) {
-                preview.src = '';
-                preview.classList.remove('has-image');
+                toastr.error('Некорректный workflow', 'Генерация картинок');
             }
-            document.getElementById('iig_npc_file').value = '';
-        } catch (error) {
-            toastr.error(`Ошибка: ${error.message}`, 'Генерация картинок');
+        } finally {
+            e.target.value = '';
         }
     });
 
-    refreshNpcList();
-
-    document.getElementById('iig_max_retries')?.addEventListener('input', (e) => {
-        settings.maxRetries = parseInt(e.target.value) || 0;
-        saveSettings();
-    });
-
-    document.getElementById('iig_retry_delay')?.addEventListener('input', (e) => {
-        settings.retryDelay = parseInt(e.target.value) || 1000;
+    document.getElementById('iig_comfy_use_websocket')?.addEventListener('change', (e) => {
+        profile.comfyUseWebsocket = e.target.checked;
         saveSettings();
     });
 
-    document.getElementById('iig_export_logs')?.addEventListener('click', () => {
-        exportLogs();
-    });
-
     updateVisibility();
 }
 
@@ -1721,22 +5707,52 @@ function bindSettingsEvents(buildNpcListHtml) {
 
     context.eventSource.on(context.event_types.APP_READY, () => {
         createSettingsUI();
+        initImageToolbar();
+        initGalleryDrop();
+        addGalleryMenuButton();
         addButtonsToExistingMessages();
         console.log('[IIG] Inline Image Generation extension loaded');
     });
 
     context.eventSource.on(context.event_types.CHAT_CHANGED, () => {
         iigLog('INFO', 'CHAT_CHANGED event');
+        reportedMalformedTags.clear();
+        cancelAllGenerations();
+        discardEarlyGenerations();
+        refreshGalleryIfOpen();
         setTimeout(() => {
             addButtonsToExistingMessages();
+            updateProfileBindingStatus();
+            updateChatUserMessagesSelect();
+            resumePendingTags();
         }, 100);
     });
 
+    context.eventSource.on(context.event_types.MESSAGE_DELETED, (chatLength) => {
+        for (const messageId of [...activeControllers.keys()]) {
+            if (messageId >= chatLength) cancelMessageGenerations(messageId);
+        }
+        for (const early of [...earlyGenerations.values()]) {
+            if (early.messageId >= chatLength) discardEarlyGenerations(early.messageId);
+        }
+    });
+
+    context.eventSource.on(context.event_types.MESSAGE_SWIPED, (messageId) => {
+        cancelMessageGenerations(Number(messageId));
+        discardEarlyGenerations(Number(messageId));
+        onMessageChanged(messageId);
+    });
+
+    context.eventSource.on(context.event_types.MESSAGE_UPDATED, onMessageChanged);
+
+    context.eventSource.on(context.event_types.STREAM_TOKEN_RECEIVED, onStreamToken);
+
     const handleMessage = async (messageId) => {
         await onMessageReceived(messageId);
     };
 
     context.eventSource.makeLast(context.event_types.CHARACTER_MESSAGE_RENDERED, handleMessage);
+    context.eventSource.makeLast(context.event_types.USER_MESSAGE_RENDERED, handleMessage);
 
     console.log('[IIG] Inline Image Generation extension initialized');
 })();